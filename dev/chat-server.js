@@ -0,0 +1,572 @@
+// dev/chat-server.js
+//
+// Local stand-in for the support chat WebSocket, with no dependencies. It is
+// attached to the mock API server at ws://localhost:8080/chat, or can run on
+// its own:
+//
+//     node dev/chat-server.js          # ws://localhost:8090/chat
+//     CHAT_PORT=9001 node dev/chat-server.js
+//
+// Messages are JSON objects with a `type`. People asking for help and
+// volunteers use the same socket; sending volunteer_hello makes a connection
+// a volunteer's.
+//
+//   user -> server
+//     hello            { conversationId }                     start or resume a conversation
+//     request_support  { topic, language }                    join the queue; topic is legal, housing, health or jobs
+//     leave_queue      {}                                     stop waiting, or end the conversation
+//     message          { id, conversationId, text, sentAt }   id is chosen by the client, so resends are ignored
+//     typing           { conversationId, typing }
+//     read             { conversationId, messageIds }         the user has seen these replies
+//
+//   server -> user
+//     welcome          { conversationId, status }             status is new, waiting, assigned or closed
+//     queue_position   { conversationId, position, topic, language }   sent whenever the queue moves
+//     assigned         { conversationId, volunteer: { id, name, languages }, topic, language }
+//     transferred      { conversationId, from, to }           to is null when sent back to the queue
+//     conversation_closed { conversationId, by }              by is user or volunteer
+//     ack              { id, conversationId, receivedAt }     the message reached the server ("delivered")
+//     read             { conversationId, messageIds }         the volunteer has seen these messages
+//     typing           { conversationId, typing }
+//     message          { id, conversationId, from: 'agent', author, text, sentAt }
+//     error            { error }
+//
+//   volunteer -> server
+//     volunteer_hello  { token, languages, topics?, available?, maxConversations? }
+//                      token is the API access token; the account needs the volunteer
+//                      or admin role. Standalone, { volunteerId, name } is accepted instead.
+//     availability     { available }
+//     accept           { conversationId }                     take a particular waiting person
+//     transfer         { conversationId, toVolunteerId?, language? }   to a colleague, or back to the
+//                                                             front of the queue (optionally for another language)
+//     close_conversation { conversationId }
+//     message, typing, read                                   as for users, with the conversationId
+//
+//   server -> volunteer
+//     volunteer_welcome { volunteer }
+//     queue_snapshot   { waiting: [{ conversationId, topic, language, waitingSince, position }],
+//                        volunteers: [{ id, name, languages, available, load }] }   on every change
+//     assigned         { conversationId, topic, language, transferredFrom, history }
+//     conversation_closed { conversationId, by }              by is user, volunteer or transfer
+//     ack, read, typing, message, error                       as for users; messages have from: 'user'
+//
+// Waiting people are assigned longest-wait first to the least busy available
+// volunteer who speaks their language (and covers their topic, if the volunteer
+// listed topics). A volunteer who disconnects has a short grace period before
+// their conversations go back to the front of the queue.
+
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+// Plenty for chat; larger frames close the connection
+const MAX_PAYLOAD = 64 * 1024;
+
+// Just enough of RFC 6455 for browsers: text frames, fragmentation, ping and close
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        let frame;
+        while ((frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_PAYLOAD) {
+            this.close(1009, 'message too big');
+            return null;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < offset + maskLength + length) return null;
+
+        const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+        const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+        if (mask) {
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        this.buffer = buffer.subarray(offset + maskLength + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode === OPCODES.close) {
+            this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        } else if (opcode === OPCODES.ping) {
+            this.write(OPCODES.pong, payload);
+        } else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+            this.fragments.push(payload);
+            if (fin) {
+                const text = Buffer.concat(this.fragments).toString('utf8');
+                this.fragments = [];
+                this.emit('message', text);
+            }
+        }
+    }
+
+    write(opcode, payload) {
+        if (this.closed) return;
+        const length = payload.length;
+        let header;
+        if (length < 126) {
+            header = Buffer.from([0x80 | opcode, length]);
+        } else if (length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.write(OPCODES.text, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.write(OPCODES.close, payload);
+        this.socket.end();
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+const TOPICS = ['legal', 'housing', 'health', 'jobs'];
+// A volunteer who drops keeps their conversations this long before they are requeued
+const VOLUNTEER_GRACE_MS = 15000;
+const HISTORY_LIMIT = 100;
+
+function createChatService({ authenticate = null, volunteerGrace = VOLUNTEER_GRACE_MS } = {}) {
+    // conversationId -> { id, clients, seen, messages, status, topic, language, waitingSince, volunteerId }
+    const conversations = new Map();
+    // volunteerId -> { id, name, languages, topics, available, maxConversations, client, conversations, graceTimer }
+    const volunteers = new Map();
+
+    function conversation(id) {
+        if (!conversations.has(id)) {
+            conversations.set(id, {
+                id,
+                clients: new Set(),
+                seen: new Set(),
+                messages: [],
+                status: 'new',
+                topic: null,
+                language: null,
+                waitingSince: null,
+                volunteerId: null
+            });
+        }
+        return conversations.get(id);
+    }
+
+    function toUser(current, message) {
+        current.clients.forEach(client => client.send({ ...message, conversationId: current.id }));
+    }
+
+    function toVolunteer(volunteerId, message) {
+        const volunteer = volunteers.get(volunteerId);
+        if (volunteer && volunteer.client) volunteer.client.send(message);
+    }
+
+    function publicVolunteer(volunteer) {
+        return { id: volunteer.id, name: volunteer.name, languages: volunteer.languages };
+    }
+
+    function remember(current, message) {
+        current.messages.push(message);
+        if (current.messages.length > HISTORY_LIMIT) current.messages.shift();
+    }
+
+    function waiting() {
+        return [...conversations.values()]
+            .filter(current => current.status === 'waiting')
+            .sort((a, b) => a.waitingSince - b.waitingSince);
+    }
+
+    // Position counts only people waiting for the same language, since they
+    // are served by a different set of volunteers
+    function positionOf(current) {
+        return waiting().filter(other => other.language === current.language).indexOf(current) + 1;
+    }
+
+    function canTake(volunteer, current) {
+        return volunteer.available && volunteer.client &&
+            volunteer.conversations.size < volunteer.maxConversations &&
+            volunteer.languages.includes(current.language) &&
+            (volunteer.topics.length === 0 || volunteer.topics.includes(current.topic));
+    }
+
+    function assign(current, volunteer, transferredFrom = null) {
+        current.status = 'assigned';
+        current.volunteerId = volunteer.id;
+        volunteer.conversations.add(current.id);
+        toUser(current, transferredFrom
+            ? { type: 'transferred', from: publicVolunteer(transferredFrom), to: publicVolunteer(volunteer) }
+            : { type: 'assigned', volunteer: publicVolunteer(volunteer), topic: current.topic, language: current.language });
+        toVolunteer(volunteer.id, {
+            type: 'assigned',
+            conversationId: current.id,
+            topic: current.topic,
+            language: current.language,
+            transferredFrom: transferredFrom ? publicVolunteer(transferredFrom) : null,
+            history: current.messages
+        });
+    }
+
+    function release(current) {
+        const volunteer = volunteers.get(current.volunteerId);
+        if (volunteer) volunteer.conversations.delete(current.id);
+        current.volunteerId = null;
+    }
+
+    function requeue(current, { language = current.language, front = false } = {}) {
+        release(current);
+        current.status = 'waiting';
+        current.language = language;
+        // Sent back by a volunteer: ahead of everyone who arrived later
+        if (!current.waitingSince || !front) current.waitingSince = Date.now();
+    }
+
+    // Longest-waiting first, to the least busy volunteer who matches
+    function dispatch() {
+        waiting().forEach(current => {
+            const volunteer = [...volunteers.values()]
+                .filter(candidate => canTake(candidate, current))
+                .sort((a, b) => a.conversations.size - b.conversations.size)[0];
+            if (volunteer) assign(current, volunteer);
+        });
+        waiting().forEach(current => toUser(current, {
+            type: 'queue_position',
+            position: positionOf(current),
+            topic: current.topic,
+            language: current.language
+        }));
+        broadcastQueue();
+    }
+
+    function broadcastQueue() {
+        const snapshot = {
+            type: 'queue_snapshot',
+            waiting: waiting().map(current => ({
+                conversationId: current.id,
+                topic: current.topic,
+                language: current.language,
+                waitingSince: new Date(current.waitingSince).toISOString(),
+                position: positionOf(current)
+            })),
+            volunteers: [...volunteers.values()]
+                .filter(volunteer => volunteer.client)
+                .map(volunteer => ({
+                    ...publicVolunteer(volunteer),
+                    available: volunteer.available,
+                    load: volunteer.conversations.size
+                }))
+        };
+        volunteers.forEach(volunteer => volunteer.client && volunteer.client.send(snapshot));
+    }
+
+    // Conversations a volunteer is allowed to act on
+    function ownConversation(client, data) {
+        const current = conversations.get(data.conversationId);
+        if (!current || current.volunteerId !== client.volunteerId) {
+            client.send({ type: 'error', error: 'not your conversation' });
+            return null;
+        }
+        return current;
+    }
+
+    const userHandlers = {
+        hello(client, data) {
+            if (typeof data.conversationId !== 'string' || !data.conversationId) {
+                return client.send({ type: 'error', error: 'conversationId required' });
+            }
+            if (client.conversationId) conversation(client.conversationId).clients.delete(client);
+            const current = conversation(data.conversationId);
+            client.conversationId = current.id;
+            current.clients.add(client);
+            client.send({ type: 'welcome', conversationId: current.id, status: current.status });
+            if (current.status === 'waiting') {
+                client.send({ type: 'queue_position', conversationId: current.id, position: positionOf(current), topic: current.topic, language: current.language });
+            } else if (current.status === 'assigned') {
+                client.send({
+                    type: 'assigned',
+                    conversationId: current.id,
+                    volunteer: publicVolunteer(volunteers.get(current.volunteerId)),
+                    topic: current.topic,
+                    language: current.language
+                });
+            }
+        },
+        request_support(client, data) {
+            if (!client.conversationId) return client.send({ type: 'error', error: 'say hello first' });
+            if (!TOPICS.includes(data.topic) || typeof data.language !== 'string' || !data.language) {
+                return client.send({ type: 'error', error: `topic must be one of ${TOPICS.join(', ')} and language is required` });
+            }
+            const current = conversation(client.conversationId);
+            if (current.status === 'waiting' || current.status === 'assigned') return;
+            current.topic = data.topic;
+            current.language = data.language;
+            requeue(current);
+            dispatch();
+        },
+        leave_queue(client) {
+            const current = client.conversationId && conversations.get(client.conversationId);
+            if (!current || current.status === 'closed' || current.status === 'new') return;
+            const volunteerId = current.volunteerId;
+            release(current);
+            current.status = 'closed';
+            if (volunteerId) toVolunteer(volunteerId, { type: 'conversation_closed', conversationId: current.id, by: 'user' });
+            toUser(current, { type: 'conversation_closed', by: 'user' });
+            dispatch();
+        },
+        message(client, data) {
+            if (!client.conversationId || typeof data.id !== 'string' || typeof data.text !== 'string') {
+                return client.send({ type: 'error', error: 'say hello first, then send { id, text }' });
+            }
+            const current = conversation(client.conversationId);
+            client.send({ type: 'ack', id: data.id, conversationId: current.id, receivedAt: new Date().toISOString() });
+            if (current.seen.has(data.id)) return;
+            current.seen.add(data.id);
+            const message = { id: data.id, from: 'user', text: data.text.slice(0, 2000), sentAt: data.sentAt || new Date().toISOString() };
+            remember(current, message);
+            if (current.volunteerId) toVolunteer(current.volunteerId, { type: 'message', conversationId: current.id, ...message });
+        },
+        typing(client, data) {
+            const current = client.conversationId && conversations.get(client.conversationId);
+            if (current && current.volunteerId) {
+                toVolunteer(current.volunteerId, { type: 'typing', conversationId: current.id, typing: Boolean(data.typing) });
+            }
+        },
+        read(client, data) {
+            const current = client.conversationId && conversations.get(client.conversationId);
+            if (current && current.volunteerId && Array.isArray(data.messageIds)) {
+                toVolunteer(current.volunteerId, { type: 'read', conversationId: current.id, messageIds: data.messageIds });
+            }
+        }
+    };
+
+    const volunteerHandlers = {
+        message(client, data) {
+            const current = ownConversation(client, data);
+            if (!current || typeof data.id !== 'string' || typeof data.text !== 'string') return;
+            client.send({ type: 'ack', id: data.id, conversationId: current.id, receivedAt: new Date().toISOString() });
+            if (current.seen.has(data.id)) return;
+            current.seen.add(data.id);
+            const volunteer = volunteers.get(client.volunteerId);
+            const message = {
+                id: data.id,
+                from: 'agent',
+                author: volunteer.name,
+                text: data.text.slice(0, 2000),
+                sentAt: data.sentAt || new Date().toISOString()
+            };
+            remember(current, message);
+            toUser(current, { type: 'message', ...message });
+        },
+        typing(client, data) {
+            const current = ownConversation(client, data);
+            if (current) toUser(current, { type: 'typing', typing: Boolean(data.typing) });
+        },
+        read(client, data) {
+            const current = ownConversation(client, data);
+            if (current && Array.isArray(data.messageIds)) toUser(current, { type: 'read', messageIds: data.messageIds });
+        },
+        availability(client, data) {
+            volunteers.get(client.volunteerId).available = Boolean(data.available);
+            dispatch();
+        },
+        // Take a specific waiting person, e.g. one nobody else speaks the language of
+        accept(client, data) {
+            const current = conversations.get(data.conversationId);
+            if (!current || current.status !== 'waiting') {
+                return client.send({ type: 'error', error: 'that person is no longer waiting' });
+            }
+            assign(current, volunteers.get(client.volunteerId));
+            dispatch();
+        },
+        // To a named volunteer, or back to the front of the queue (optionally for another language)
+        transfer(client, data) {
+            const current = ownConversation(client, data);
+            if (!current) return;
+            const from = volunteers.get(client.volunteerId);
+            const to = data.toVolunteerId && volunteers.get(data.toVolunteerId);
+            if (data.toVolunteerId && (!to || !to.client || to.id === from.id)) {
+                return client.send({ type: 'error', error: 'that volunteer is not available' });
+            }
+            release(current);
+            client.send({ type: 'conversation_closed', conversationId: current.id, by: 'transfer' });
+            if (to) {
+                assign(current, to, from);
+            } else {
+                requeue(current, { language: data.language || current.language, front: true });
+                toUser(current, { type: 'transferred', from: publicVolunteer(from), to: null });
+            }
+            dispatch();
+        },
+        close_conversation(client, data) {
+            const current = ownConversation(client, data);
+            if (!current) return;
+            release(current);
+            current.status = 'closed';
+            toUser(current, { type: 'conversation_closed', by: 'volunteer' });
+            client.send({ type: 'conversation_closed', conversationId: current.id, by: 'volunteer' });
+            dispatch();
+        }
+    };
+
+    function volunteerHello(client, data) {
+        const user = authenticate ? authenticate(data.token) : { id: data.volunteerId, name: data.name };
+        if (!user || !user.id || (authenticate && !['volunteer', 'admin'].includes(user.role))) {
+            return client.send({ type: 'error', error: 'volunteer login required' });
+        }
+        const languages = Array.isArray(data.languages) ? data.languages.filter(language => typeof language === 'string') : [];
+        if (languages.length === 0) return client.send({ type: 'error', error: 'at least one language is required' });
+
+        const volunteer = volunteers.get(user.id) || { id: user.id, conversations: new Set() };
+        const previousClient = volunteer.client;
+        clearTimeout(volunteer.graceTimer);
+        Object.assign(volunteer, {
+            name: user.name || String(data.name || 'Volunteer'),
+            languages,
+            topics: Array.isArray(data.topics) ? data.topics.filter(topic => TOPICS.includes(topic)) : [],
+            available: data.available !== false,
+            maxConversations: Math.min(Math.max(Number(data.maxConversations) || 3, 1), 10),
+            client,
+            graceTimer: null
+        });
+        volunteers.set(volunteer.id, volunteer);
+        client.volunteerId = volunteer.id;
+        if (previousClient && previousClient !== client) previousClient.close(4000, 'signed in elsewhere');
+        client.send({ type: 'volunteer_welcome', volunteer: publicVolunteer(volunteer) });
+        // Resuming after a dropped connection
+        volunteer.conversations.forEach(id => {
+            const current = conversations.get(id);
+            client.send({ type: 'assigned', conversationId: id, topic: current.topic, language: current.language, transferredFrom: null, history: current.messages });
+        });
+        dispatch();
+    }
+
+    function disconnect(client) {
+        if (client.conversationId) conversation(client.conversationId).clients.delete(client);
+        const volunteer = client.volunteerId && volunteers.get(client.volunteerId);
+        if (!volunteer || volunteer.client !== client) return;
+        volunteer.client = null;
+        volunteer.graceTimer = setTimeout(() => {
+            [...volunteer.conversations].forEach(id => {
+                const current = conversations.get(id);
+                requeue(current, { front: true });
+                toUser(current, { type: 'transferred', from: publicVolunteer(volunteer), to: null });
+            });
+            volunteers.delete(volunteer.id);
+            dispatch();
+        }, volunteerGrace);
+        broadcastQueue();
+    }
+
+    function connect(client) {
+        client.on('message', text => {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                return client.send({ type: 'error', error: 'messages must be JSON' });
+            }
+            if (data?.type === 'volunteer_hello') return volunteerHello(client, data);
+            const handlers = client.volunteerId ? volunteerHandlers : userHandlers;
+            // Own properties only, so "toString" or "__proto__" can't reach Object.prototype
+            if (typeof data?.type !== 'string' || !Object.hasOwn(handlers, data.type)) {
+                return client.send({ type: 'error', error: `unknown message type: ${data?.type}` });
+            }
+            handlers[data.type](client, data);
+        });
+        client.on('close', () => disconnect(client));
+    }
+
+    return { connect, conversations, volunteers, userHandlers, volunteerHandlers };
+}
+
+// Handles WebSocket upgrades on `path` for an existing http.Server
+function attachChat(server, { path = '/chat', ...options } = {}) {
+    const service = createChatService(options);
+    server.on('upgrade', (req, socket) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const key = req.headers['sec-websocket-key'];
+        if (pathname !== path || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+            '', ''
+        ].join('\r\n'));
+        service.connect(new WebSocketConnection(socket));
+    });
+    return service;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.CHAT_PORT) || 8090;
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('Connect with a WebSocket client at /chat\n');
+    });
+    attachChat(server);
+    server.listen(port, () => {
+        console.log(`Chat stand-in listening on ws://localhost:${port}/chat`);
+    });
+}
+
+module.exports = { attachChat, createChatService, WebSocketConnection };
@@ -0,0 +1,60 @@
+// Run with: node --test dev/
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createChatService } = require('./chat-server');
+
+// Stands in for a WebSocketConnection and records what the server sent
+function fakeClient() {
+    const client = new EventEmitter();
+    client.sent = [];
+    client.send = message => client.sent.push(message);
+    client.close = () => client.emit('close');
+    client.receive = data => client.emit('message', typeof data === 'string' ? data : JSON.stringify(data));
+    return client;
+}
+
+const oddTypes = ['nonsense', 'hasOwnProperty', '__proto__', 'toString', 'constructor', 'valueOf'];
+
+test('users sending unknown or prototype-named types get an error', () => {
+    const service = createChatService();
+    const client = fakeClient();
+    service.connect(client);
+    client.receive({ type: 'hello', conversationId: 'c1' });
+
+    oddTypes.forEach(type => {
+        assert.doesNotThrow(() => client.receive({ type }));
+        assert.deepStrictEqual(client.sent.at(-1), { type: 'error', error: `unknown message type: ${type}` });
+    });
+    assert.doesNotThrow(() => client.receive('{"type":{"nested":true}}'));
+    assert.doesNotThrow(() => client.receive('null'));
+    assert.strictEqual(client.sent.at(-1).type, 'error');
+});
+
+test('volunteers sending unknown or prototype-named types get an error', () => {
+    const service = createChatService();
+    const client = fakeClient();
+    service.connect(client);
+    client.receive({ type: 'volunteer_hello', volunteerId: 'v1', name: 'Priya', languages: ['en'] });
+    assert.strictEqual(client.sent[0].type, 'volunteer_welcome');
+
+    oddTypes.forEach(type => {
+        assert.doesNotThrow(() => client.receive({ type }));
+        assert.deepStrictEqual(client.sent.at(-1), { type: 'error', error: `unknown message type: ${type}` });
+    });
+});
+
+test('a waiting user is assigned to a volunteer who speaks their language', () => {
+    const service = createChatService();
+    const user = fakeClient();
+    const volunteer = fakeClient();
+    service.connect(user);
+    service.connect(volunteer);
+    user.receive({ type: 'hello', conversationId: 'c1' });
+    user.receive({ type: 'request_support', topic: 'housing', language: 'fr' });
+    assert.deepStrictEqual(user.sent.at(-1), { type: 'queue_position', conversationId: 'c1', position: 1, topic: 'housing', language: 'fr' });
+
+    volunteer.receive({ type: 'volunteer_hello', volunteerId: 'v1', name: 'Priya', languages: ['en', 'fr'] });
+    assert.ok(user.sent.some(message => message.type === 'assigned' && message.volunteer.id === 'v1'));
+    assert.ok(volunteer.sent.some(message => message.type === 'assigned' && message.conversationId === 'c1'));
+});
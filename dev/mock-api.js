@@ -0,0 +1,757 @@
+// dev/mock-api.js
+//
+// Local stand-in for the backend API. Serves the site from the repository
+// root and a small in-memory version of /api so features can be tried
+// without network access:
+//
+//     node dev/mock-api.js            # http://localhost:8080
+//     PORT=9000 node dev/mock-api.js
+//     LOCAL_TILES=1 node dev/mock-api.js   # draw map tiles locally instead of using OpenStreetMap
+//
+// Support chat is served over WebSocket at /chat; see dev/chat-server.js.
+//
+// Data lives in memory and resets on restart.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { attachChat } = require('./chat-server');
+
+const PORT = Number(process.env.PORT) || 8080;
+// Access token lifetime in seconds; set low to exercise token refresh
+const TOKEN_TTL = Number(process.env.TOKEN_TTL) || 15 * 60;
+const ROOT = path.join(__dirname, '..');
+// Serve /tiles/{z}/{x}/{y}.svg and point the page at them, for testing offline maps
+const LOCAL_TILES = process.env.LOCAL_TILES === '1';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// Seed events relative to start-up so there is always something upcoming.
+// Times are wall-clock hours in India (UTC+05:30).
+function daysFromNow(days, hour) {
+    const date = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    date.setUTCHours(0, hour * 60 - 330, 0, 0);
+    return date.toISOString();
+}
+
+function seedEvent(id, days, hour, hours, fields) {
+    return {
+        id: String(id),
+        start: daysFromNow(days, hour),
+        end: daysFromNow(days, hour + hours),
+        timezone: 'Asia/Kolkata',
+        registrations: [],
+        waitlist: [],
+        ...fields
+    };
+}
+
+const db = {
+    nextId: 100,
+    users: [
+        { id: 'u1', name: 'Community Moderator', email: 'moderator@example.org', password: 'moderator', role: 'moderator' },
+        { id: 'u2', name: 'Asha', email: 'asha@example.org', password: 'password123', role: 'member' },
+        { id: 'u3', name: 'Service Verifier', email: 'admin@example.org', password: 'admin', role: 'admin' },
+        { id: 'u4', name: 'Priya', email: 'volunteer@example.org', password: 'volunteer', role: 'volunteer' }
+    ],
+    // token -> { userId, expiresAt }
+    sessions: new Map(),
+    // refresh token -> userId
+    refreshTokens: new Map(),
+    stories: [],
+    services: JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'services.json'), 'utf8')),
+    // Who approved, rejected or sent back which provider submission, and when
+    verificationLog: [],
+    // Community reports on forum posts, stories and reviews
+    reports: [],
+    events: [
+        seedEvent(1, -3, 18, 2, {
+            title: 'Welcome Evening for New Arrivals',
+            description: 'Meet other families who have recently moved to the city.',
+            location: 'Community Hall, Andheri East, Mumbai',
+            capacity: 40
+        }),
+        seedEvent(2, 2, 11, 2, {
+            title: 'Community Meetup',
+            description: 'Share experiences and find local support over tea.',
+            location: 'Community Hall, Andheri East, Mumbai',
+            capacity: 30
+        }),
+        seedEvent(3, 5, 17, 1.5, {
+            title: 'Language Exchange',
+            description: 'Practise Hindi, Marathi or English with volunteers.',
+            location: 'Public Library, Dadar, Mumbai',
+            capacity: 2
+        }),
+        seedEvent(4, 9, 10, 3, {
+            title: 'Know Your Rights: Workplace Law',
+            description: 'A free session on wages, contracts and where to get legal help.',
+            location: 'Legal Aid Clinic, Fort, Mumbai',
+            capacity: 25
+        }),
+        seedEvent(5, 16, 14, 4, {
+            title: 'Job Fair for Skilled Workers',
+            description: 'Employers from construction, hospitality and retail.',
+            location: 'Exhibition Centre, Goregaon, Mumbai',
+            capacity: 200
+        })
+    ],
+    forumPosts: [
+        {
+            id: 1,
+            parentId: null,
+            title: 'Finding a room near Andheri',
+            body: 'Does anyone know a hostel that accepts monthly rent without a local guarantor?',
+            author: 'Priya S.',
+            timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+            likes: 3,
+            likedBy: []
+        },
+        {
+            id: 2,
+            parentId: null,
+            title: 'Ration card transfer',
+            body: 'Sharing what worked for me under One Nation One Ration Card: bring your Aadhaar and old card to any fair price shop.',
+            author: 'Imran K.',
+            timestamp: new Date(Date.now() - 26 * 60 * 60 * 1000).toISOString(),
+            likes: 7,
+            likedBy: []
+        },
+        {
+            id: 3,
+            parentId: 1,
+            title: '',
+            body: 'Try the working women\'s hostels run by the state, they only ask for an employer letter.',
+            author: 'Meena R.',
+            timestamp: new Date(Date.now() - 90 * 60 * 1000).toISOString(),
+            likes: 1,
+            likedBy: []
+        },
+        ...Array.from({ length: 18 }, (_, i) => ({
+            id: 10 + i,
+            parentId: null,
+            title: `Community thread #${i + 1}`,
+            body: 'An older discussion from the archive.',
+            author: 'Volunteer Team',
+            timestamp: new Date(Date.now() - (3 + i) * 24 * 60 * 60 * 1000).toISOString(),
+            likes: 0,
+            likedBy: []
+        }))
+    ]
+};
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function randomToken() {
+    return require('crypto').randomBytes(24).toString('base64url');
+}
+
+// Unsigned JWT-shaped token so the client can read the exp claim
+function issueSession(user) {
+    const exp = Math.floor(Date.now() / 1000) + TOKEN_TTL;
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const token = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: user.id, exp })}.${randomToken()}`;
+    const refreshToken = randomToken();
+    db.sessions.set(token, { userId: user.id, expiresAt: exp * 1000 });
+    db.refreshTokens.set(refreshToken, user.id);
+
+    const { password, ...publicUser } = user;
+    return { user: publicUser, token, refreshToken, expiresIn: TOKEN_TTL };
+}
+
+function distanceMetres([lat1, lng1], [lat2, lng2]) {
+    const toRad = degrees => degrees * Math.PI / 180;
+    const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+
+function parsePoint(value) {
+    const point = String(value || '').split(',').map(Number);
+    return point.length === 2 && point.every(Number.isFinite) ? point : null;
+}
+
+// Stand-in for a routing server: an L-shaped path north/south then east/west
+function planRoute(from, to, mode) {
+    const corner = [to[0], from[1]];
+    const legs = [[from, corner], [corner, to]].map(([a, b]) => ({ a, b, distance: distanceMetres(a, b) }));
+    const heading = (a, b) => a[0] === b[0]
+        ? (b[1] > a[1] ? 'east' : 'west')
+        : (b[0] > a[0] ? 'north' : 'south');
+    const distance = legs[0].distance + legs[1].distance;
+
+    if (mode === 'transit') {
+        return {
+            mode,
+            distance,
+            duration: Math.round(300 + 240 + distance / 6),
+            coordinates: [from, corner, to],
+            steps: [
+                { instruction: 'Walk to the nearest bus stop', distance: 200 },
+                { instruction: `Take bus 42 ${heading(from, corner)}`, distance: legs[0].distance },
+                { instruction: `Change to bus 7 ${heading(corner, to)}`, distance: legs[1].distance },
+                { instruction: 'Walk to your destination', distance: 100 }
+            ]
+        };
+    }
+    return {
+        mode,
+        distance,
+        duration: Math.round(distance / 1.3),
+        coordinates: [from, corner, to],
+        steps: legs.map(({ a, b, distance: legDistance }) => ({ instruction: `Walk ${heading(a, b)}`, distance: legDistance }))
+    };
+}
+
+function currentUser(req) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const session = db.sessions.get(token);
+    if (!session || session.expiresAt < Date.now()) return null;
+    return db.users.find(user => user.id === session.userId) || null;
+}
+
+// Identifies the caller by their account, falling back to a shared guest
+function callerId(req) {
+    const user = currentUser(req);
+    return user ? `user:${user.id}` : 'guest';
+}
+
+// Sends the error response itself and returns null when the caller isn't an admin
+function requireAdmin(req, res) {
+    const user = currentUser(req);
+    if (!user) {
+        send(res, 401, { error: 'login required' });
+        return null;
+    }
+    if (user.role !== 'admin') {
+        send(res, 403, { error: 'admin role required' });
+        return null;
+    }
+    return user;
+}
+
+// Registration lists stay private; callers only learn the counts and their own place
+function publicEvent(event, req) {
+    const { registrations, waitlist, ...rest } = event;
+    const user = currentUser(req);
+    const waitlistIndex = user ? waitlist.findIndex(entry => entry.userId === user.id) : -1;
+    let myStatus = null;
+    if (user && registrations.some(entry => entry.userId === user.id)) myStatus = 'registered';
+    else if (waitlistIndex >= 0) myStatus = 'waitlisted';
+    return {
+        ...rest,
+        registeredCount: registrations.length,
+        waitlistCount: waitlist.length,
+        myStatus,
+        waitlistPosition: waitlistIndex >= 0 ? waitlistIndex + 1 : null
+    };
+}
+
+const VERIFICATION_DECISIONS = ['approved', 'rejected', 'changes_requested'];
+
+function hasExpiredToken(req) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const session = db.sessions.get(token);
+    return Boolean(session) && session.expiresAt < Date.now();
+}
+
+// Anonymous posts never reveal their account; only the author learns
+// that the post is theirs
+function publicPost(post, req) {
+    const { likedBy, authorId, ...rest } = post;
+    const user = currentUser(req);
+    return {
+        ...rest,
+        authorId: post.anonymous ? null : authorId,
+        ownedByCaller: Boolean(user && authorId && user.id === authorId),
+        liked: likedBy.includes(callerId(req))
+    };
+}
+
+function findPost(id) {
+    return db.forumPosts.find(post => String(post.id) === String(id));
+}
+
+const REPORT_CONTENT_TYPES = ['forum', 'story', 'review'];
+const REPORT_RESOLUTIONS = ['dismissed', 'removed'];
+
+function isModerator(user) {
+    return Boolean(user) && ['moderator', 'admin'].includes(user.role);
+}
+
+// Everyone sees the counts that hide content; only moderators see reasons
+// and excerpts. Reporters are never revealed, callers only learn which
+// reports are their own.
+function publicReport(report, req) {
+    const reporter = new URL(req.url, 'http://localhost').searchParams.get('reporter');
+    const mine = Boolean(reporter) && report.reporterId === reporter;
+    if (!isModerator(currentUser(req))) {
+        const { id, contentType, contentId, status } = report;
+        return { id, contentType, contentId, status, mine };
+    }
+    const { reporterId, ...rest } = report;
+    return { ...rest, mine };
+}
+
+const routes = [
+    ['POST', /^\/api\/register$/, async (req, res) => {
+        const body = await readBody(req);
+        if (!body.name || !body.email || !body.password || String(body.password).length < 8) {
+            return send(res, 400, { error: 'Name, email and a password of at least 8 characters are required' });
+        }
+        if (db.users.some(user => user.email === String(body.email).toLowerCase())) {
+            return send(res, 409, { error: 'An account with this email already exists' });
+        }
+        const user = {
+            id: `u${db.nextId++}`,
+            name: String(body.name),
+            email: String(body.email).toLowerCase(),
+            password: String(body.password),
+            role: 'member'
+        };
+        db.users.push(user);
+        send(res, 201, issueSession(user));
+    }],
+    ['POST', /^\/api\/login$/, async (req, res) => {
+        const body = await readBody(req);
+        const user = db.users.find(u => u.email === String(body.email || '').toLowerCase());
+        if (!user || user.password !== body.password) {
+            return send(res, 401, { error: 'Invalid email or password' });
+        }
+        send(res, 200, issueSession(user));
+    }],
+    ['POST', /^\/api\/logout$/, (req, res) => {
+        const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        db.sessions.delete(token);
+        send(res, 204);
+    }],
+    ['POST', /^\/api\/token\/refresh$/, async (req, res) => {
+        const body = await readBody(req);
+        const userId = db.refreshTokens.get(body.refreshToken);
+        const user = db.users.find(u => u.id === userId);
+        if (!user) {
+            return send(res, 401, { error: 'Invalid refresh token' });
+        }
+        db.refreshTokens.delete(body.refreshToken);
+        send(res, 200, issueSession(user));
+    }],
+    // Pages over threads, newest first. Each page carries the full reply
+    // tree of its threads; the cursor is the position of the last thread.
+    ['GET', /^\/api\/forum\/posts$/, (req, res) => {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const limit = Math.min(Number(params.get('limit')) || 20, 50);
+        const byNewest = (a, b) => new Date(b.timestamp) - new Date(a.timestamp) || b.id - a.id;
+        const threads = db.forumPosts.filter(post => post.parentId === null).sort(byNewest);
+
+        let start = 0;
+        if (params.get('cursor')) {
+            const [timestamp, id] = Buffer.from(params.get('cursor'), 'base64url').toString().split('|');
+            const position = { timestamp, id: Number(id) };
+            start = threads.findIndex(thread => byNewest(position, thread) < 0);
+            if (start === -1) start = threads.length;
+        }
+
+        const page = threads.slice(start, start + limit);
+        const last = page[page.length - 1];
+        const hasMore = start + limit < threads.length;
+        const threadIds = new Set(page.map(thread => thread.id));
+        const replies = [];
+        let grew = true;
+        while (grew) {
+            grew = false;
+            for (const post of db.forumPosts) {
+                if (threadIds.has(post.parentId) && !threadIds.has(post.id)) {
+                    threadIds.add(post.id);
+                    replies.push(post);
+                    grew = true;
+                }
+            }
+        }
+
+        send(res, 200, {
+            posts: [...page, ...replies].map(post => publicPost(post, req)),
+            nextCursor: hasMore ? Buffer.from(`${last.timestamp}|${last.id}`).toString('base64url') : null
+        });
+    }],
+    ['POST', /^\/api\/forum\/posts$/, async (req, res) => {
+        const body = await readBody(req);
+        if (!body.body || !String(body.body).trim()) {
+            return send(res, 400, { error: 'body is required' });
+        }
+        const parentId = body.parentId ?? null;
+        if (parentId !== null && !findPost(parentId)) {
+            return send(res, 400, { error: 'parent post not found' });
+        }
+        if (parentId === null && !String(body.title || '').trim()) {
+            return send(res, 400, { error: 'title is required for new threads' });
+        }
+        const user = currentUser(req);
+        const post = {
+            id: db.nextId++,
+            authorId: user ? user.id : null,
+            parentId,
+            title: parentId === null ? String(body.title) : '',
+            body: String(body.body),
+            author: body.anonymous || !user ? String(body.author || 'Anonymous User') : user.name,
+            authorColor: body.authorColor || null,
+            anonymous: Boolean(body.anonymous || !user),
+            timestamp: new Date().toISOString(),
+            likes: 0,
+            likedBy: []
+        };
+        db.forumPosts.push(post);
+        send(res, 201, publicPost(post, req));
+    }],
+    ['PUT', /^\/api\/forum\/posts\/([^/]+)\/like$/, (req, res, id) => {
+        const post = findPost(id);
+        if (!post) return send(res, 404, { error: 'not found' });
+        if (!post.likedBy.includes(callerId(req))) {
+            post.likedBy.push(callerId(req));
+            post.likes += 1;
+        }
+        send(res, 200, publicPost(post, req));
+    }],
+    ['DELETE', /^\/api\/forum\/posts\/([^/]+)\/like$/, (req, res, id) => {
+        const post = findPost(id);
+        if (!post) return send(res, 404, { error: 'not found' });
+        if (post.likedBy.includes(callerId(req))) {
+            post.likedBy = post.likedBy.filter(user => user !== callerId(req));
+            post.likes = Math.max(0, post.likes - 1);
+        }
+        send(res, 200, publicPost(post, req));
+    }],
+    ['DELETE', /^\/api\/forum\/posts\/([^/]+)$/, (req, res, id) => {
+        const post = findPost(id);
+        if (!post) return send(res, 404, { error: 'not found' });
+        const user = currentUser(req);
+        if (!user) return send(res, 401, { error: 'login required' });
+        if (user.role !== 'moderator' && user.role !== 'admin' && post.authorId !== user.id) {
+            return send(res, 403, { error: 'only the author or a moderator can delete this post' });
+        }
+        const removed = new Set([post.id]);
+        let grew = true;
+        while (grew) {
+            grew = false;
+            for (const p of db.forumPosts) {
+                if (p.parentId !== null && removed.has(p.parentId) && !removed.has(p.id)) {
+                    removed.add(p.id);
+                    grew = true;
+                }
+            }
+        }
+        db.forumPosts = db.forumPosts.filter(p => !removed.has(p.id));
+        send(res, 204);
+    }],
+    ['GET', /^\/api\/reports$/, (req, res) => {
+        send(res, 200, db.reports.map(report => publicReport(report, req)));
+    }],
+    // One report per reporter for each piece of content
+    ['POST', /^\/api\/reports$/, async (req, res) => {
+        const body = await readBody(req);
+        if (!REPORT_CONTENT_TYPES.includes(body.contentType)) {
+            return send(res, 400, { error: `contentType must be one of ${REPORT_CONTENT_TYPES.join(', ')}` });
+        }
+        if (!body.contentId || !body.reason || !body.reporterId) {
+            return send(res, 400, { error: 'contentId, reason and reporterId are required' });
+        }
+        const existing = db.reports.find(report =>
+            report.contentType === body.contentType &&
+            report.contentId === String(body.contentId) &&
+            report.reporterId === String(body.reporterId));
+        if (existing) return send(res, 200, publicReport(existing, req));
+
+        const report = {
+            id: String(body.id || `report_${db.nextId++}`),
+            contentType: body.contentType,
+            contentId: String(body.contentId),
+            reason: String(body.reason),
+            details: String(body.details || '').slice(0, 500),
+            excerpt: String(body.excerpt || '').slice(0, 200),
+            reporterId: String(body.reporterId),
+            date: new Date().toISOString(),
+            status: 'open'
+        };
+        db.reports.push(report);
+        send(res, 201, publicReport(report, req));
+    }],
+    // Settles every open report on one piece of content
+    ['POST', /^\/api\/reports\/resolution$/, async (req, res) => {
+        const user = currentUser(req);
+        if (!user) return send(res, 401, { error: 'login required' });
+        if (!isModerator(user)) return send(res, 403, { error: 'moderator role required' });
+        const body = await readBody(req);
+        if (!REPORT_RESOLUTIONS.includes(body.status)) {
+            return send(res, 400, { error: `status must be one of ${REPORT_RESOLUTIONS.join(', ')}` });
+        }
+        const reports = db.reports.filter(report =>
+            report.contentType === body.contentType && report.contentId === String(body.contentId));
+        reports
+            .filter(report => report.status === 'open')
+            .forEach(report => Object.assign(report, {
+                status: body.status,
+                resolvedBy: user.id,
+                resolvedAt: new Date().toISOString()
+            }));
+        send(res, 200, reports.map(report => publicReport(report, req)));
+    }],
+    ['GET', /^\/api\/services$/, (req, res) => {
+        // Provider submissions stay off the public map until they are verified
+        send(res, 200, db.services
+            .filter(service => !service.status || service.status === 'approved')
+            .map(({ submittedBy, ...service }) => ({
+                ...service,
+                reviews: (service.reviews || []).map(({ userId, ...review }) => review)
+            })));
+    }],
+    // Lets providers follow their own submissions without exposing the listings
+    ['GET', /^\/api\/services\/submissions$/, (req, res) => {
+        const ids = (new URL(req.url, 'http://localhost').searchParams.get('ids') || '').split(',');
+        send(res, 200, db.services
+            .filter(service => service.submittedAt && ids.includes(String(service.id)))
+            .map(({ id, status, verified, reviewNote }) => ({ id, status, verified, reviewNote })));
+    }],
+    ['GET', /^\/api\/admin\/services$/, (req, res) => {
+        if (!requireAdmin(req, res)) return;
+        const status = new URL(req.url, 'http://localhost').searchParams.get('status') || 'pending';
+        send(res, 200, db.services.filter(service => service.status === status));
+    }],
+    ['POST', /^\/api\/admin\/services\/([^/]+)\/verification$/, async (req, res, id) => {
+        const user = requireAdmin(req, res);
+        if (!user) return;
+        const service = db.services.find(s => String(s.id) === id);
+        if (!service) return send(res, 404, { error: 'not found' });
+        const body = await readBody(req);
+        if (!VERIFICATION_DECISIONS.includes(body.decision)) {
+            return send(res, 400, { error: `decision must be one of ${VERIFICATION_DECISIONS.join(', ')}` });
+        }
+        const note = String(body.note || '').trim().slice(0, 500);
+        if (body.decision !== 'approved' && !note) {
+            return send(res, 400, { error: 'a note for the provider is required' });
+        }
+
+        service.status = body.decision;
+        service.verified = body.decision === 'approved';
+        service.reviewNote = note;
+        const entry = {
+            id: `v${db.nextId++}`,
+            serviceId: service.id,
+            serviceName: service.name,
+            decision: body.decision,
+            note,
+            by: { id: user.id, name: user.name },
+            at: new Date().toISOString()
+        };
+        db.verificationLog.unshift(entry);
+        send(res, 200, { service, entry });
+    }],
+    ['GET', /^\/api\/admin\/verification-log$/, (req, res) => {
+        if (!requireAdmin(req, res)) return;
+        send(res, 200, db.verificationLog.slice(0, 50));
+    }],
+    ['POST', /^\/api\/services$/, async (req, res) => {
+        const body = await readBody(req);
+        const [lat, lng] = Array.isArray(body.location) ? body.location.map(Number) : [];
+        const missing = ['name', 'type', 'description', 'contact']
+            .filter(field => typeof body[field] !== 'string' || !body[field].trim());
+        if (missing.length > 0) return send(res, 400, { error: `${missing.join(', ')} required` });
+        if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+            return send(res, 400, { error: 'location must be [latitude, longitude]' });
+        }
+
+        const user = currentUser(req);
+        const service = {
+            id: db.nextId++,
+            name: body.name.trim().slice(0, 100),
+            type: body.type.trim().toLowerCase(),
+            description: body.description.trim().slice(0, 1000),
+            address: String(body.address || '').slice(0, 200),
+            location: [lat, lng],
+            contact: body.contact.trim().slice(0, 100),
+            verified: false,
+            status: 'pending',
+            submittedAt: new Date().toISOString(),
+            submittedBy: user ? user.id : null,
+            reviews: []
+        };
+        db.services.push(service);
+
+        const { submittedBy, ...publicService } = service;
+        send(res, 201, publicService);
+    }],
+    ['POST', /^\/api\/services\/([^/]+)\/reviews$/, async (req, res, id) => {
+        const service = db.services.find(s => String(s.id) === id);
+        if (!service) return send(res, 404, { error: 'not found' });
+        const body = await readBody(req);
+        const rating = Number(body.rating);
+        if (!(rating >= 1 && rating <= 5)) return send(res, 400, { error: 'rating must be between 1 and 5' });
+
+        // One review per account; guests are matched by the client-generated id
+        const user = currentUser(req);
+        const review = {
+            id: String(body.id || db.nextId++),
+            rating,
+            text: String(body.text || '').slice(0, 1000),
+            author: body.anonymous || !user ? String(body.author || 'Anonymous') : user.name,
+            authorColor: body.authorColor,
+            anonymous: Boolean(body.anonymous),
+            date: new Date().toISOString(),
+            source: 'Miss Migrant',
+            userId: user ? user.id : null
+        };
+        service.reviews = (service.reviews || []).filter(r =>
+            r.id !== review.id && !(user && r.userId === user.id));
+        service.reviews.push(review);
+
+        const { userId, ...publicReview } = review;
+        send(res, 201, publicReview);
+    }],
+    ['GET', /^\/api\/events$/, (req, res) => {
+        send(res, 200, db.events.map(event => publicEvent(event, req)));
+    }],
+    ['POST', /^\/api\/events\/([^/]+)\/registration$/, (req, res, id) => {
+        const event = db.events.find(e => e.id === id);
+        if (!event) return send(res, 404, { error: 'not found' });
+        const user = currentUser(req);
+        if (!user) return send(res, 401, { error: 'login required' });
+        if (new Date(event.end) < new Date()) return send(res, 409, { error: 'event has ended' });
+
+        const known = [...event.registrations, ...event.waitlist].some(entry => entry.userId === user.id);
+        if (!known) {
+            const entry = { userId: user.id, at: new Date().toISOString() };
+            if (event.registrations.length < event.capacity) event.registrations.push(entry);
+            else event.waitlist.push(entry);
+        }
+        send(res, 200, publicEvent(event, req));
+    }],
+    // Cancelling a place hands it to the first person on the waitlist
+    ['DELETE', /^\/api\/events\/([^/]+)\/registration$/, (req, res, id) => {
+        const event = db.events.find(e => e.id === id);
+        if (!event) return send(res, 404, { error: 'not found' });
+        const user = currentUser(req);
+        if (!user) return send(res, 401, { error: 'login required' });
+
+        const hadPlace = event.registrations.some(entry => entry.userId === user.id);
+        event.registrations = event.registrations.filter(entry => entry.userId !== user.id);
+        event.waitlist = event.waitlist.filter(entry => entry.userId !== user.id);
+        if (hadPlace && event.waitlist.length > 0 && event.registrations.length < event.capacity) {
+            event.registrations.push(event.waitlist.shift());
+        }
+        send(res, 200, publicEvent(event, req));
+    }],
+    ['GET', /^\/api\/emergency-contacts$/, (req, res) => {
+        send(res, 200, JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'emergency-contacts.json'), 'utf8')));
+    }],
+    ['GET', /^\/api\/route$/, (req, res) => {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const from = parsePoint(query.get('from'));
+        const to = parsePoint(query.get('to'));
+        const mode = query.get('mode') || 'walking';
+        if (!from || !to) return send(res, 400, { error: 'from and to must be "lat,lng"' });
+        if (!['walking', 'transit'].includes(mode)) return send(res, 400, { error: 'mode must be walking or transit' });
+        send(res, 200, planRoute(from, to, mode));
+    }],
+    ['GET', /^\/tiles\/(\d+)\/(\d+)\/(\d+)\.svg$/, (req, res, z, x, y) => {
+        res.writeHead(200, { 'Content-Type': 'image/svg+xml', 'Access-Control-Allow-Origin': '*' });
+        res.end(`<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">
+<rect width="256" height="256" fill="#e9f5ec" stroke="#b2d8bb"/>
+<text x="128" y="132" font-family="sans-serif" font-size="16" fill="#2b8a3e" text-anchor="middle">${z}/${x}/${y}</text>
+</svg>`);
+    }],
+    ['POST', /^\/api\/stories$/, async (req, res) => {
+        const body = await readBody(req);
+        const story = { ...body, id: db.nextId++ };
+        db.stories.push(story);
+        send(res, 201, story);
+    }]
+];
+
+function serveStatic(req, res, pathname) {
+    const filePath = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+    if (!filePath.startsWith(ROOT)) {
+        res.writeHead(403);
+        return res.end();
+    }
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        if (LOCAL_TILES && filePath.endsWith('index.html')) {
+            data = data.toString().replace('</head>', '    <meta name="tile-url-template" content="/tiles/{z}/{x}/{y}.svg">\n</head>');
+        }
+        res.end(data);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') {
+        return send(res, 204);
+    }
+
+    // Mirrors a real backend: an expired access token is rejected outright
+    if (pathname.startsWith('/api/') && hasExpiredToken(req)) {
+        return send(res, 401, { error: 'token expired' });
+    }
+
+    for (const [method, pattern, handler] of routes) {
+        const match = req.method === method && pathname.match(pattern);
+        if (match) {
+            try {
+                return await handler(req, res, ...match.slice(1).map(decodeURIComponent));
+            } catch (error) {
+                console.error(error);
+                return send(res, 500, { error: 'internal error' });
+            }
+        }
+    }
+
+    if (pathname.startsWith('/api/')) {
+        return send(res, 404, { error: 'not found' });
+    }
+    serveStatic(req, res, decodeURIComponent(pathname));
+});
+
+const chat = attachChat(server, {
+    authenticate: token => currentUser({ headers: { authorization: `Bearer ${token}` } })
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Mock API listening on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, db, routes, chat };
@@ -0,0 +1,344 @@
+// icalendar.js
+//
+// RFC 5545 (.ics) generation and parsing for the events calendar. Pure
+// string in, string out with no DOM dependencies: the page uses the global
+// ICalendar, and Node can require it for tests.
+
+const ICalendar = {
+    prodId: '-//Miss Migrant//Community Events//EN',
+    uidDomain: 'miss-migrant',
+
+    escapeText(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    unescapeText(value) {
+        return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    },
+
+    // Lines longer than 75 octets continue on the next line after a space
+    foldLine(line) {
+        const bytes = new TextEncoder().encode(line);
+        if (bytes.length <= 75) return line;
+
+        const parts = [];
+        let current = '';
+        let size = 0;
+        for (const char of line) {
+            const charSize = new TextEncoder().encode(char).length;
+            if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                size = 0;
+            }
+            current += char;
+            size += charSize;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    },
+
+    unfold(text) {
+        return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    },
+
+    // Wall-clock fields of an instant in a zone: { year, month, day, hour, minute, second }
+    zonedParts(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(date);
+        const fields = {};
+        parts.forEach(({ type, value }) => { fields[type] = Number(value); });
+        return fields;
+    },
+
+    // Minutes east of UTC for a zone at a given instant
+    zoneOffset(date, timeZone) {
+        const { year, month, day, hour, minute, second } = this.zonedParts(date, timeZone);
+        return Math.round((Date.UTC(year, month - 1, day, hour, minute, second) - date.getTime()) / 60000);
+    },
+
+    isTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    formatOffset(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const absolute = Math.abs(minutes);
+        return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+    },
+
+    parseOffset(value) {
+        const match = /^([+-])(\d{2})(\d{2})$/.exec(value.trim());
+        if (!match) return null;
+        return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+    },
+
+    formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    },
+
+    formatLocal(date, timeZone) {
+        const { year, month, day, hour, minute, second } = this.zonedParts(date, timeZone);
+        const pad = value => String(value).padStart(2, '0');
+        return `${year}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+    },
+
+    // Only used for zones without daylight saving (see hasFixedOffset), where
+    // one STANDARD rule is exact
+    timeZoneBlock(timeZone, sample) {
+        const offset = this.formatOffset(this.zoneOffset(sample, timeZone));
+        return [
+            'BEGIN:VTIMEZONE',
+            `TZID:${timeZone}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${offset}`,
+            `TZOFFSETTO:${offset}`,
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+    },
+
+    // Same offset in January and July, e.g. Asia/Kolkata but not America/New_York
+    hasFixedOffset(timeZone, date) {
+        const year = date.getUTCFullYear();
+        return this.zoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone) ===
+            this.zoneOffset(new Date(Date.UTC(year, 6, 1)), timeZone);
+    },
+
+    eventUid(event) {
+        return event.uid || `event-${event.id}@${this.uidDomain}`;
+    },
+
+    // events: [{ id, uid?, title, description, location, start, end, timezone }]
+    generate(events, now = new Date()) {
+        // Zones with daylight saving would need full DAYLIGHT/STANDARD rules, so
+        // their events are written in UTC instead
+        const zones = new Map();
+        events.forEach(event => {
+            const start = new Date(event.start);
+            if (event.timezone && this.isTimeZone(event.timezone) && !zones.has(event.timezone) &&
+                this.hasFixedOffset(event.timezone, start)) {
+                zones.set(event.timezone, start);
+            }
+        });
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.prodId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            ...[...zones].flatMap(([timeZone, sample]) => this.timeZoneBlock(timeZone, sample))
+        ];
+        events.forEach(event => {
+            const start = new Date(event.start);
+            const end = new Date(event.end || event.start);
+            const zoned = zones.has(event.timezone);
+            const dateLine = (name, date) => (zoned
+                ? `${name};TZID=${event.timezone}:${this.formatLocal(date, event.timezone)}`
+                : `${name}:${this.formatUtc(date)}`);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${this.eventUid(event)}`,
+                `DTSTAMP:${this.formatUtc(now)}`,
+                dateLine('DTSTART', start),
+                dateLine('DTEND', end),
+                `SUMMARY:${this.escapeText(event.title)}`
+            );
+            if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+            if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+            lines.push('END:VEVENT');
+        });
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    },
+
+    parseLine(line) {
+        // The value starts at the first colon outside a quoted parameter
+        let colon = -1;
+        let quoted = false;
+        for (let index = 0; index < line.length && colon < 0; index++) {
+            if (line[index] === '"') quoted = !quoted;
+            else if (line[index] === ':' && !quoted) colon = index;
+        }
+        if (colon < 0) return null;
+        const [name, ...paramParts] = line.slice(0, colon).split(';');
+        const params = {};
+        paramParts.forEach(part => {
+            const [key, ...value] = part.split('=');
+            params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+        });
+        return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    },
+
+    // Wall-clock time in a zone to an instant. Tries the zone's offset at the
+    // naive UTC reading, then corrects once in case that crossed a DST change.
+    fromZonedTime(fields, timeZone, fallbackOffset = null) {
+        const naive = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+        if (timeZone && this.isTimeZone(timeZone)) {
+            let instant = naive - this.zoneOffset(new Date(naive), timeZone) * 60000;
+            instant = naive - this.zoneOffset(new Date(instant), timeZone) * 60000;
+            return new Date(instant);
+        }
+        if (fallbackOffset !== null) {
+            return new Date(naive - fallbackOffset * 60000);
+        }
+        // Floating time: read as the local time of whoever imports it
+        return new Date(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+    },
+
+    parseDate(property, zoneOffsets = {}) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+        if (!match) return null;
+        const [, year, month, day, hour = '0', minute = '0', second = '0', utc] = match;
+        const fields = {
+            year: Number(year), month: Number(month), day: Number(day),
+            hour: Number(hour), minute: Number(minute), second: Number(second)
+        };
+        if (utc) {
+            return new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second));
+        }
+        const timeZone = property.params.TZID;
+        return this.fromZonedTime(fields, timeZone, timeZone in zoneOffsets ? zoneOffsets[timeZone] : null);
+    },
+
+    // Only the simple PnW / PnDTnHnMnS forms used by calendar apps
+    parseDuration(value) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+        if (!match) return null;
+        const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+        const total = ((Number(weeks) * 7 + Number(days)) * 86400 + Number(hours) * 3600 +
+            Number(minutes) * 60 + Number(seconds)) * 1000;
+        return sign === '-' ? -total : total;
+    },
+
+    // Returns { events, errors }. Events without a UID or a start are skipped
+    // and reported, so one bad entry doesn't lose the rest of the file.
+    parse(text) {
+        const lines = this.unfold(String(text));
+        const events = [];
+        const errors = [];
+        const zoneOffsets = {};
+        // Open components, innermost last, e.g. ['VCALENDAR', 'VEVENT', 'VALARM']
+        const components = [];
+        let current = null;
+        let zone = null;
+
+        if (!lines[0] || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+            return { events, errors: ['Not an iCalendar file'] };
+        }
+
+        lines.forEach(line => {
+            const property = this.parseLine(line);
+            if (!property) return;
+            const { name, value } = property;
+            const component = value.trim().toUpperCase();
+
+            if (name === 'BEGIN') {
+                components.push(component);
+                if (components.length !== 2) return;
+                if (component === 'VTIMEZONE') zone = {};
+                if (component === 'VEVENT') current = { properties: {} };
+            } else if (name === 'END') {
+                components.pop();
+                if (components.length !== 1) return;
+                if (component === 'VTIMEZONE' && zone) {
+                    if (zone.id && zone.offset !== undefined) zoneOffsets[zone.id] = zone.offset;
+                    zone = null;
+                }
+                if (component === 'VEVENT' && current) {
+                    events.push(current);
+                    current = null;
+                }
+            } else if (zone) {
+                if (name === 'TZID' && components.length === 2) zone.id = value;
+                // The first STANDARD offset is enough for zones we can't look up
+                if (name === 'TZOFFSETTO' && zone.offset === undefined) zone.offset = this.parseOffset(value);
+            } else if (current && components.length === 2 && !(name in current.properties)) {
+                // Properties of sub-components such as VALARM belong to them, not the event
+                current.properties[name] = property;
+            }
+        });
+
+        const parsed = [];
+        events.forEach((event, index) => {
+            const { UID, SUMMARY, DESCRIPTION, LOCATION, DTSTART, DTEND, DURATION } = event.properties;
+            const start = DTSTART && this.parseDate(DTSTART, zoneOffsets);
+            if (!UID || !start) {
+                errors.push(`Event ${index + 1}${SUMMARY ? ` (${this.unescapeText(SUMMARY.value)})` : ''} has no ${UID ? 'start time' : 'UID'}`);
+                return;
+            }
+            const allDay = DTSTART.params.VALUE === 'DATE';
+            let end = DTEND && this.parseDate(DTEND, zoneOffsets);
+            if (!end && DURATION && this.parseDuration(DURATION.value) !== null) {
+                end = new Date(start.getTime() + this.parseDuration(DURATION.value));
+            }
+            if (!end) {
+                end = new Date(start.getTime() + (allDay ? 86400000 : 0));
+            }
+            const timeZone = DTSTART.params.TZID;
+            parsed.push({
+                uid: UID.value.trim(),
+                title: SUMMARY ? this.unescapeText(SUMMARY.value) : 'Untitled event',
+                description: DESCRIPTION ? this.unescapeText(DESCRIPTION.value) : '',
+                location: LOCATION ? this.unescapeText(LOCATION.value) : '',
+                start,
+                end,
+                allDay,
+                ...(timeZone && this.isTimeZone(timeZone) ? { timezone: timeZone } : {})
+            });
+        });
+        return { events: parsed, errors };
+    },
+
+    // Merges parsed events into a list by UID: events listed from elsewhere
+    // are left alone, a re-imported event replaces its earlier copy, and a
+    // UID repeated within one file keeps its last entry
+    merge(events, incoming) {
+        const merged = [...events];
+        const seen = new Set();
+        let added = 0;
+        let updated = 0;
+        let skipped = 0;
+        incoming.forEach(parsed => {
+            const repeated = seen.has(parsed.uid);
+            seen.add(parsed.uid);
+            const index = merged.findIndex(event => this.eventUid(event) === parsed.uid);
+            const existing = merged[index];
+            if (existing && !existing.imported) {
+                if (!repeated) skipped++;
+                return;
+            }
+            const event = {
+                ...parsed,
+                id: existing ? existing.id : `ics-${parsed.uid.replace(/[^\w@.-]/g, '_')}`,
+                imported: true
+            };
+            if (existing) {
+                merged[index] = event;
+                if (!repeated) updated++;
+            } else {
+                merged.push(event);
+                added++;
+            }
+        });
+        return { events: merged, added, updated, skipped };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICalendar;
+}
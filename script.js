@@ -18,8 +18,16 @@ function createModal() {
     modal.className = 'modal';
     modal.innerHTML = `
         <div class="modal-content">
-            <form id="story-form">
-                <textarea placeholder="Share your story..." required aria-label="Your story"></textarea>
+            <form id="story-form" class="story-form">
+                <div class="posting-identity">
+                    <p class="posting-as" aria-live="polite"></p>
+                    <label class="anonymous-toggle" ${auth.currentUser ? '' : 'hidden'}>
+                        <input type="checkbox" name="anonymous"> Post anonymously
+                    </label>
+                </div>
+                <input type="text" name="origin" placeholder="Where are you from?" aria-label="Place of origin">
+                <input type="text" name="destination" placeholder="Where do you live now?" aria-label="Current location">
+                <textarea name="content" placeholder="Share your story..." required aria-label="Your story"></textarea>
                 <div class="button-group">
                     <button type="submit">Submit</button>
                     <button type="button" onclick="closeModal()">Cancel</button>
@@ -28,6 +36,13 @@ function createModal() {
         </div>
     `;
     document.body.appendChild(modal);
+
+    const form = modal.querySelector('form');
+    const updatePostingAs = () => {
+        form.querySelector('.posting-as').innerHTML = `Posting as ${createAuthorBadge(PseudonymIdentity.getPostingIdentity(form.elements.anonymous.checked))}`;
+    };
+    form.elements.anonymous.addEventListener('change', updatePostingAs);
+    updatePostingAs();
     return modal;
 }
 
@@ -38,6 +53,19 @@ function closeModal() {
     }
 }
 
+function showError(message) {
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'error-message';
+    errorDiv.setAttribute('role', 'alert');
+    errorDiv.textContent = message;
+    document.body.appendChild(errorDiv);
+    setTimeout(() => errorDiv.remove(), 5000);
+}
+
+function showErrors(errors) {
+    showError(errors.join(' '));
+}
+
 // Add security utilities
 const SecurityUtils = {
     csrfToken: document.querySelector('meta[name="csrf-token"]')?.content,
@@ -66,14 +94,232 @@ const SecurityUtils = {
     },
     
     getHeaders() {
-        return {
+        const headers = {
             'Content-Type': 'application/json',
-            'X-CSRF-Token': this.csrfToken,
-            'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+            'X-CSRF-Token': this.csrfToken
+        };
+        const token = localStorage.getItem('authToken');
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        return headers;
+    },
+
+    // Words that should never appear in public posts; sites can extend this
+    blockedWords: [],
+    // form -> settle function of the warning open in it
+    pendingReviews: new WeakMap(),
+
+    setBlockedWords(words) {
+        this.blockedWords = words.map(word => word.trim().toLowerCase()).filter(Boolean);
+    },
+
+    // Detection lives in sensitive-content.js so it can be tested without a DOM
+    detectSensitiveContent(text, blockedWords = this.blockedWords) {
+        return SensitiveContent.detect(text, blockedWords);
+    },
+
+    redactSensitiveContent(text, findings = this.detectSensitiveContent(text)) {
+        return SensitiveContent.redact(text, findings);
+    },
+
+    // Warns inside `form` when any of `fields` contain personal details or
+    // blocked words. Resolves with the fields to publish (redacted or as
+    // typed), or null if the user wants to keep editing.
+    reviewBeforePublish(form, fields) {
+        // Submitting again replaces an open warning, and the earlier submit gives up
+        this.pendingReviews.get(form)?.(null);
+        form.querySelector('.pii-warning')?.remove();
+
+        const findings = Object.entries(fields).flatMap(([name, text]) =>
+            this.detectSensitiveContent(text).map(finding => ({ ...finding, field: name }))
+        );
+        if (findings.length === 0) {
+            return Promise.resolve(fields);
+        }
+
+        const warning = document.createElement('div');
+        warning.className = 'pii-warning';
+        warning.setAttribute('role', 'alert');
+        warning.innerHTML = `
+            <p><strong>This will be public.</strong> It looks like your post includes:</p>
+            <ul>
+                ${findings.map(finding => `
+                    <li>${escapeHtml(finding.label)}: <mark>${escapeHtml(finding.match)}</mark></li>
+                `).join('')}
+            </ul>
+            <div class="button-group">
+                <button type="button" data-action="redact">Remove and post</button>
+                <button type="button" data-action="publish">Post anyway</button>
+                <button type="button" data-action="edit">Keep editing</button>
+            </div>
+        `;
+        form.appendChild(warning);
+        warning.querySelector('button').focus();
+
+        return new Promise(resolve => {
+            const settle = result => {
+                this.pendingReviews.delete(form);
+                resolve(result);
+            };
+            this.pendingReviews.set(form, settle);
+            warning.addEventListener('click', (e) => {
+                const action = e.target.closest('button')?.dataset.action;
+                if (!action) return;
+
+                warning.remove();
+                if (action === 'redact') {
+                    settle(Object.fromEntries(Object.entries(fields).map(([name, text]) => [
+                        name,
+                        this.redactSensitiveContent(text, findings.filter(f => f.field === name))
+                    ])));
+                } else if (action === 'publish') {
+                    settle(fields);
+                } else {
+                    settle(null);
+                }
+            });
+        });
+    }
+};
+
+// Shared date formatting, following the active UI language
+const TimeUtils = {
+    // Largest unit first; months and years are approximations
+    units: [
+        ['year', 365 * 24 * 60 * 60],
+        ['month', 30 * 24 * 60 * 60],
+        ['week', 7 * 24 * 60 * 60],
+        ['day', 24 * 60 * 60],
+        ['hour', 60 * 60],
+        ['minute', 60],
+        ['second', 1]
+    ],
+    refreshInterval: 60000,
+    refreshTimer: null,
+
+    getLocale() {
+        return document.documentElement.lang || navigator.language || 'en';
+    },
+
+    formatRelative(date, now = new Date(), locale = this.getLocale()) {
+        const diffSeconds = (new Date(date) - new Date(now)) / 1000;
+        if (Number.isNaN(diffSeconds)) return '';
+
+        const formatter = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+        const [unit, size] = this.units.find(([, size]) => Math.abs(diffSeconds) >= size) || ['second', 1];
+        return formatter.format(Math.trunc(diffSeconds / size), unit);
+    },
+
+    formatDate(date, locale = this.getLocale()) {
+        const parsed = new Date(date);
+        if (Number.isNaN(parsed.getTime())) return '';
+        return parsed.toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+    },
+
+    // Markup for a timestamp that refreshTimestamps() keeps up to date
+    timeElement(date, className = '') {
+        const parsed = new Date(date);
+        if (Number.isNaN(parsed.getTime())) return '';
+
+        const iso = parsed.toISOString();
+        return `<time class="${className}" datetime="${iso}" title="${escapeHtml(this.formatDate(iso))}" data-relative-time>${escapeHtml(this.formatRelative(iso))}</time>`;
+    },
+
+    refreshTimestamps(root = document) {
+        root.querySelectorAll('[data-relative-time]').forEach(element => {
+            const date = element.getAttribute('datetime');
+            element.textContent = this.formatRelative(date);
+            element.title = this.formatDate(date);
+        });
+    },
+
+    startAutoRefresh() {
+        if (this.refreshTimer) return;
+        this.refreshTimer = setInterval(() => this.refreshTimestamps(), this.refreshInterval);
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => TimeUtils.startAutoRefresh());
+
+// Per-device pseudonymous identity, so people can post without an account
+// or without putting their real name on a story
+const PseudonymIdentity = {
+    storageKey: 'pseudonymIdentity',
+    adjectives: ['Brave', 'Calm', 'Bright', 'Kind', 'Swift', 'Gentle', 'Bold', 'Quiet', 'Warm', 'Steady'],
+    nouns: ['Sparrow', 'Lotus', 'River', 'Banyan', 'Kite', 'Monsoon', 'Peacock', 'Mango', 'Lantern', 'Harbor'],
+    colors: ['#B19CD9', '#4ECDC4', '#45B7D1', '#96CEB4', '#FF6B6B', '#F7B267', '#9B7EDC', '#6C9A8B'],
+    fallbackColor: '#8B8BA7',
+
+    get() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored?.id && stored.handle && stored.color) return stored;
+        } catch (error) {
+            console.error('Error reading pseudonymous identity:', error);
+        }
+        return this.regenerate();
+    },
+
+    regenerate() {
+        const pick = list => list[Math.floor(Math.random() * list.length)];
+        const identity = {
+            id: `anon_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            handle: `${pick(this.adjectives)} ${pick(this.nouns)} ${Math.floor(10 + Math.random() * 90)}`,
+            color: pick(this.colors)
+        };
+        localStorage.setItem(this.storageKey, JSON.stringify(identity));
+        return identity;
+    },
+
+    // Signed-in users appear under their name unless they choose anonymity;
+    // everyone else always posts under the device handle
+    getPostingIdentity(anonymous = false) {
+        if (auth.currentUser && !anonymous) {
+            return {
+                name: auth.currentUser.name,
+                color: this.colorFor(auth.currentUser.id),
+                anonymous: false,
+                authorId: auth.currentUser.id
+            };
+        }
+        const identity = this.get();
+        return {
+            name: identity.handle,
+            color: identity.color,
+            anonymous: true,
+            authorId: null
         };
+    },
+
+    // Stable key for "one per person" rules: the account when signed in, otherwise this device
+    getOwnerKey() {
+        if (auth.currentUser?.id) {
+            return `user:${auth.currentUser.id}`;
+        }
+        return `device:${this.get().id}`;
+    },
+
+    colorFor(seed) {
+        const hash = [...String(seed)].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 7);
+        return this.colors[hash % this.colors.length];
+    },
+
+    safeColor(color) {
+        return /^#[0-9a-f]{6}$/i.test(color || '') ? color : this.fallbackColor;
     }
 };
 
+function createAuthorBadge({ name, color, anonymous }) {
+    const label = name || 'Anonymous';
+    return `
+        <span class="author-badge${anonymous ? ' anonymous' : ''}">
+            <span class="author-avatar" style="background: ${PseudonymIdentity.safeColor(color)}" aria-hidden="true">${escapeHtml(label.charAt(0).toUpperCase())}</span>
+            <span class="author-name">${escapeHtml(label)}</span>
+        </span>
+    `;
+}
+
 // Add rate limiting
 const RateLimiter = {
     limits: new Map(),
@@ -117,19 +363,29 @@ function addStory() {
             return;
         }
         
+        const reviewed = await SecurityUtils.reviewBeforePublish(form, {
+            content: story,
+            origin: form.elements.origin.value.trim(),
+            destination: form.elements.destination.value.trim()
+        });
+        if (!reviewed) {
+            textarea.focus();
+            return;
+        }
+
         try {
-            const sanitizedStory = SecurityUtils.sanitizeInput(story);
-            const storyDiv = document.createElement("div");
-            storyDiv.className = 'story';
-            storyDiv.innerHTML = `
-                <div class="story-content">${sanitizedStory}</div>
-                <div class="story-meta">
-                    <span class="timestamp">${new Date().toLocaleString()}</span>
-                </div>
-            `;
-            document.getElementById("user-stories").appendChild(storyDiv);
-            saveStories();
+            const identity = PseudonymIdentity.getPostingIdentity(form.elements.anonymous.checked);
+            const record = StoryStore.add({
+                author: identity.name,
+                authorColor: identity.color,
+                anonymous: identity.anonymous,
+                origin: reviewed.origin,
+                destination: reviewed.destination,
+                content: reviewed.content
+            });
+            document.getElementById("user-stories").appendChild(createStoryCard(record));
             closeModal();
+            StoryOutbox.enqueue(record.id);
         } catch (error) {
             console.error('Error adding story:', error);
             showError('Failed to add story. Please try again.');
@@ -147,33 +403,230 @@ function validateStory(story) {
 
 // Forum Management
 class Forum {
-    constructor() {
+    constructor(options = {}) {
         this.posts = [];
-        this.apiUrl = 'https://api.jsonbin.io/v3/b/YOUR_BIN_ID'; // Replace with your actual API endpoint
+        this.collapsed = new Set();
+        // Replies can nest this many levels below a thread's opening post
+        this.maxReplyDepth = 2;
+        this.pageSize = 10;
+        this.nextCursor = null;
+        this.hasMore = true;
+        this.isLoadingMore = false;
+        // Posts fetched by a refresh that wait behind the "new posts" banner
+        this.newPosts = [];
+        this.pollInterval = 60000;
+        // Accepts a stubbed DataService so the forum can run without a backend
+        this.dataService = options.dataService || new DataService();
+        // Delete buttons and moderation views depend on who is signed in
+        auth.subscribe(() => {
+            this.renderPosts();
+            this.updateIdentityControls();
+        });
         this.init();
     }
 
     async init() {
         await this.loadPosts();
         this.setupEventListeners();
+        this.setupInfiniteScroll();
+        setInterval(() => {
+            if (document.visibilityState === 'visible') {
+                this.checkForNewPosts({ silent: true });
+            }
+        }, this.pollInterval);
     }
 
     async loadPosts() {
         try {
-            const response = await fetch('https://jsonplaceholder.typicode.com/posts?_limit=5'); // Replace with your actual API endpoint
-            const posts = await response.json();
-            this.posts = posts.map(post => ({
-                ...post,
-                author: 'Anonymous User',
-                timestamp: new Date().toISOString()
-            }));
+            const page = await this.dataService.fetchForumPosts({ limit: this.pageSize });
+            this.posts = page.posts.map(post => this.normalizePost(post));
+            this.nextCursor = page.nextCursor || null;
+            this.hasMore = Boolean(this.nextCursor);
+            this.newPosts = [];
             this.renderPosts();
+            this.renderNewPostsBanner();
+            this.renderLoadMore();
         } catch (error) {
             console.error('Error loading posts:', error);
             this.showError('Failed to load posts. Please try again later.');
         }
     }
 
+    async loadMorePosts() {
+        if (this.isLoadingMore || !this.hasMore) return;
+
+        this.isLoadingMore = true;
+        this.renderLoadMore();
+        try {
+            const page = await this.dataService.fetchForumPosts({
+                limit: this.pageSize,
+                cursor: this.nextCursor
+            });
+            page.posts.forEach(post => {
+                if (!this.findPost(post.id)) {
+                    this.posts.push(this.normalizePost(post));
+                }
+            });
+            this.nextCursor = page.nextCursor || null;
+            this.hasMore = Boolean(this.nextCursor);
+            this.renderPosts();
+        } catch (error) {
+            console.error('Error loading older posts:', error);
+            this.showError('Failed to load older posts. Please try again.');
+        } finally {
+            this.isLoadingMore = false;
+            this.renderLoadMore();
+        }
+
+        // Observing again reports the current intersection, so a sentinel
+        // that is still on screen keeps loading until the page fills up
+        if (this.scrollObserver && this.hasMore) {
+            const sentinel = document.getElementById('forum-load-more');
+            this.scrollObserver.unobserve(sentinel);
+            this.scrollObserver.observe(sentinel);
+        }
+    }
+
+    // Background polls pass silent, so an offline reader isn't shown an error every minute.
+    // Posts already on screen are patched in place so scroll position and focus survive;
+    // new ones only go into the banner.
+    async checkForNewPosts({ silent = false } = {}) {
+        if (this.posts.some(post => post.pending)) return;
+
+        try {
+            const page = await this.dataService.fetchForumPosts({ limit: this.pageSize });
+            const oldestThread = this.getThreads().slice(-1)[0];
+            let textChanged = false;
+
+            page.posts.map(post => this.normalizePost(post)).forEach(post => {
+                const existing = this.findPost(post.id);
+                if (existing) {
+                    const changes = { title: post.title, body: post.body, likes: post.likes, liked: post.liked };
+                    if (Object.keys(changes).every(key => existing[key] === changes[key])) return;
+                    textChanged = textChanged || existing.title !== post.title || existing.body !== post.body;
+                    Object.assign(existing, changes);
+                    this.updatePostElement(existing);
+                    return;
+                }
+                if (this.newPosts.some(p => String(p.id) === String(post.id))) return;
+
+                // Older threads beyond what is loaded arrive through paging instead
+                const isReply = post.parentId !== null;
+                const isNewer = !oldestThread || new Date(post.timestamp) >= new Date(oldestThread.timestamp);
+                if (isReply || isNewer || !this.hasMore) {
+                    this.newPosts.push(post);
+                }
+            });
+
+            if (textChanged) this.renderReplyTargets();
+            this.renderNewPostsBanner();
+        } catch (error) {
+            console.error('Error checking for new posts:', error);
+            if (!silent) this.showError('Failed to refresh posts. Please try again.');
+        }
+    }
+
+    showNewPosts() {
+        this.newPosts.forEach(post => {
+            if (!this.findPost(post.id)) {
+                this.posts.push(post);
+            }
+        });
+        this.newPosts = [];
+        this.renderPosts();
+        this.renderNewPostsBanner();
+        document.getElementById('forum-posts')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    setupInfiniteScroll() {
+        const sentinel = document.getElementById('forum-load-more');
+        if (!sentinel) return;
+
+        sentinel.addEventListener('click', (e) => {
+            if (e.target.closest('button')) {
+                this.loadMorePosts();
+            }
+        });
+
+        this.scrollObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.loadMorePosts();
+                }
+            });
+        }, { rootMargin: '200px 0px' });
+        this.scrollObserver.observe(sentinel);
+    }
+
+    renderLoadMore() {
+        const sentinel = document.getElementById('forum-load-more');
+        if (!sentinel) return;
+
+        if (this.isLoadingMore) {
+            sentinel.innerHTML = '<span class="loading-text">Loading older posts…</span>';
+        } else if (this.hasMore) {
+            sentinel.innerHTML = '<button type="button" class="load-more-btn">Load older posts</button>';
+        } else {
+            sentinel.innerHTML = this.posts.length ? '<span class="end-of-feed">You\'re all caught up</span>' : '';
+        }
+    }
+
+    renderNewPostsBanner() {
+        const banner = document.getElementById('forum-new-posts');
+        if (!banner) return;
+
+        const count = this.newPosts.length;
+        banner.hidden = count === 0;
+        banner.textContent = `${count} new ${count === 1 ? 'post' : 'posts'} available`;
+    }
+
+    normalizePost(post) {
+        return {
+            id: post.id,
+            title: post.title || '',
+            body: post.body || '',
+            author: post.author || 'Anonymous User',
+            authorId: post.authorId ?? null,
+            authorColor: post.authorColor || null,
+            anonymous: Boolean(post.anonymous),
+            ownedByCaller: Boolean(post.ownedByCaller),
+            parentId: post.parentId ?? null,
+            timestamp: post.timestamp || post.createdAt || new Date().toISOString(),
+            likes: post.likes || 0,
+            liked: Boolean(post.liked)
+        };
+    }
+
+    findPost(postId) {
+        return this.posts.find(p => String(p.id) === String(postId));
+    }
+
+    getReplies(postId) {
+        return this.posts
+            .filter(p => p.parentId !== null && String(p.parentId) === String(postId))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    getThreads() {
+        return this.posts
+            .filter(p => p.parentId === null || !this.findPost(p.parentId))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    getDescendants(postId) {
+        return this.getReplies(postId).flatMap(reply => [reply, ...this.getDescendants(reply.id)]);
+    }
+
+    getDepth(post) {
+        let depth = 0;
+        let parent = post.parentId !== null ? this.findPost(post.parentId) : null;
+        while (parent) {
+            depth++;
+            parent = parent.parentId !== null ? this.findPost(parent.parentId) : null;
+        }
+        return depth;
+    }
+
     setupEventListeners() {
         const form = document.getElementById('forum-form');
         if (form) {
@@ -182,40 +635,161 @@ class Forum {
 
         const refreshBtn = document.getElementById('refresh-posts');
         if (refreshBtn) {
-            refreshBtn.addEventListener('click', () => this.loadPosts());
+            refreshBtn.addEventListener('click', () => this.checkForNewPosts());
+        }
+
+        const newPostsBanner = document.getElementById('forum-new-posts');
+        if (newPostsBanner) {
+            newPostsBanner.addEventListener('click', () => this.showNewPosts());
+        }
+
+        const parentSelect = document.getElementById('forum-parent');
+        if (parentSelect) {
+            parentSelect.addEventListener('change', () => this.updateFormMode());
+        }
+
+        const anonymousToggle = document.getElementById('forum-anonymous');
+        if (anonymousToggle) {
+            anonymousToggle.addEventListener('change', () => this.updateIdentityControls());
+        }
+        this.updateIdentityControls();
+
+        // Post ids stay in data attributes; quoting them into inline handlers isn't safe
+        const postsContainer = document.getElementById('forum-posts');
+        if (postsContainer) {
+            postsContainer.addEventListener('click', (e) => {
+                const button = e.target.closest('.post-actions [data-action]');
+                if (!button) return;
+                const id = button.closest('.forum-post').dataset.postId;
+                const actions = {
+                    like: () => this.likePost(id),
+                    reply: () => this.startReply(id),
+                    'toggle-thread': () => this.toggleThread(id),
+                    report: () => openReportModal('forum', id),
+                    delete: () => this.deletePost(id)
+                };
+                actions[button.dataset.action]();
+            });
+        }
+    }
+
+    updateIdentityControls() {
+        const toggle = document.getElementById('forum-anonymous');
+        const postingAs = document.getElementById('forum-identity');
+        if (toggle) {
+            toggle.closest('label').hidden = !auth.currentUser;
+            if (!auth.currentUser) {
+                toggle.checked = false;
+            }
+        }
+        if (postingAs) {
+            postingAs.innerHTML = `Posting as ${createAuthorBadge(PseudonymIdentity.getPostingIdentity(Boolean(toggle?.checked)))}`;
         }
     }
 
+    startReply(postId) {
+        const parentSelect = document.getElementById('forum-parent');
+        if (!parentSelect || !this.findPost(postId)) return;
+
+        parentSelect.value = String(postId);
+        this.updateFormMode();
+        document.getElementById('forum-input').focus();
+    }
+
+    updateFormMode() {
+        const parentSelect = document.getElementById('forum-parent');
+        const titleInput = document.getElementById('forum-title');
+        if (!parentSelect || !titleInput) return;
+
+        const isReply = parentSelect.value !== '';
+        titleInput.hidden = isReply;
+        titleInput.required = !isReply;
+    }
+
     async handleSubmit(e) {
         e.preventDefault();
         const input = document.getElementById('forum-input');
+        const titleInput = document.getElementById('forum-title');
+        const parentSelect = document.getElementById('forum-parent');
         const content = input.value.trim();
+        const parent = parentSelect?.value ? this.findPost(parentSelect.value) : null;
+        const title = parent ? '' : (titleInput?.value.trim() || '');
 
         if (!content) return;
+        if (!parent && titleInput && !title) {
+            this.showError('Please give your new thread a title.');
+            return;
+        }
 
-        try {
-            const newPost = {
-                id: Date.now(),
-                title: 'New Post',
-                body: content,
-                author: 'Current User',
-                timestamp: new Date().toISOString()
-            };
+        const reviewed = await SecurityUtils.reviewBeforePublish(input.form, { title, body: content });
+        if (!reviewed) {
+            input.focus();
+            return;
+        }
 
-            // Optimistic UI update
-            this.posts.unshift(newPost);
-            this.renderPosts();
-            input.value = '';
+        const anonymousToggle = document.getElementById('forum-anonymous');
+        const identity = PseudonymIdentity.getPostingIdentity(Boolean(anonymousToggle?.checked));
+        const newPost = {
+            id: `temp_${Date.now()}`,
+            title: reviewed.title,
+            body: reviewed.body,
+            author: identity.name,
+            authorId: identity.authorId,
+            authorColor: identity.color,
+            anonymous: identity.anonymous,
+            ownedByCaller: Boolean(auth.currentUser),
+            parentId: parent ? parent.id : null,
+            timestamp: new Date().toISOString(),
+            likes: 0,
+            liked: false,
+            pending: true
+        };
 
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
+        // Optimistic UI update
+        if (parent) {
+            this.collapsed.delete(String(parent.id));
+        }
+        this.posts.unshift(newPost);
+        this.renderPosts();
+        input.value = '';
+        if (titleInput) {
+            titleInput.value = '';
+        }
+        if (parentSelect) {
+            parentSelect.value = '';
+            this.updateFormMode();
+        }
+
+        try {
+            const saved = await this.dataService.createForumPost({
+                title: newPost.title,
+                body: newPost.body,
+                parentId: newPost.parentId,
+                author: newPost.author,
+                authorColor: newPost.authorColor,
+                anonymous: newPost.anonymous
+            });
+            const index = this.posts.indexOf(newPost);
+            if (index !== -1) {
+                this.posts[index] = this.normalizePost({ ...newPost, ...saved });
+            }
+            this.renderPosts();
         } catch (error) {
             console.error('Error creating post:', error);
-            this.showError('Failed to create post. Please try again.');
-            // Remove the optimistic update
-            this.posts = this.posts.filter(post => post.id !== newPost.id);
+            // Remove the optimistic update and give the text back
+            this.posts = this.posts.filter(post => post !== newPost);
             this.renderPosts();
+            this.showError('Failed to create post. Please try again.');
+            if (!input.value) {
+                input.value = content;
+                if (titleInput) {
+                    titleInput.value = title;
+                }
+                if (parentSelect && parent) {
+                    parentSelect.value = String(parent.id);
+                    this.updateFormMode();
+                }
+            }
         }
     }
 
@@ -223,49 +797,182 @@ class Forum {
         const container = document.getElementById('forum-posts');
         if (!container) return;
 
-        container.innerHTML = this.posts.map(post => `
-            <article class="forum-post" role="article">
+        container.innerHTML = this.getThreads().map(post => this.renderPost(post, 0)).join('');
+        this.renderReplyTargets();
+    }
+
+    updatePostElement(post) {
+        const article = [...document.querySelectorAll('#forum-posts .forum-post')]
+            .find(element => element.dataset.postId === String(post.id));
+        const content = article?.querySelector(':scope > .post-content');
+        if (!content) return;
+
+        let title = content.querySelector(':scope > .post-title');
+        if (post.title && !title) {
+            title = document.createElement('h4');
+            title.className = 'post-title';
+            content.querySelector(':scope > p').before(title);
+        }
+        if (title && post.title) title.textContent = post.title;
+        else title?.remove();
+        content.querySelector(':scope > p').textContent = post.body;
+
+        const like = article.querySelector(':scope > .post-actions .like-btn');
+        like.setAttribute('aria-pressed', String(post.liked));
+        like.querySelector('.like-count').textContent = post.likes || 0;
+    }
+
+    renderPost(post, depth) {
+        const id = this.escapeHtml(String(post.id));
+        const replies = this.getReplies(post.id);
+        const replyCount = this.getDescendants(post.id).length;
+        const isCollapsed = this.collapsed.has(String(post.id));
+        const replyLabel = `${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`;
+        const repliesHtml = replies.length > 0 && !isCollapsed ? `
+            <div class="post-replies" role="group" aria-label="Replies">
+                ${replies.map(reply => this.renderPost(reply, depth + 1)).join('')}
+            </div>
+        ` : '';
+
+        if (ModerationQueue.isHidden('forum', post.id) && !auth.isModerator()) {
+            return `
+                <article class="forum-post moderated${depth > 0 ? ' forum-reply' : ''}" role="article" data-post-id="${id}">
+                    <p class="moderated-notice">This post has been hidden after reports from the community.</p>
+                    ${repliesHtml}
+                </article>
+            `;
+        }
+
+        return `
+            <article class="forum-post${post.pending ? ' pending' : ''}${depth > 0 ? ' forum-reply' : ''}" role="article" aria-busy="${post.pending ? 'true' : 'false'}" data-post-id="${id}">
                 <div class="post-content">
                     <div class="post-header">
-                        <span class="post-author">${this.escapeHtml(post.author)}</span>
-                        <span class="post-time">${this.formatDate(post.timestamp)}</span>
+                        <span class="post-author">${createAuthorBadge({ name: post.author, color: post.authorColor, anonymous: post.anonymous })}</span>
+                        ${TimeUtils.timeElement(post.timestamp, 'post-time')}
                     </div>
+                    ${post.title ? `<h4 class="post-title">${this.escapeHtml(post.title)}</h4>` : ''}
                     <p>${this.escapeHtml(post.body)}</p>
                 </div>
                 <div class="post-actions">
-                    <button onclick="forum.likePost(${post.id})" class="like-btn">
+                    <button type="button" data-action="like" class="like-btn" aria-pressed="${post.liked}">
                         <span class="like-icon">❤️</span>
                         <span class="like-count">${post.likes || 0}</span>
                     </button>
-                    <button onclick="forum.deletePost(${post.id})" class="delete-btn">
-                        <span class="delete-icon">🗑️</span>
-                    </button>
+                    ${depth < this.maxReplyDepth && !post.pending ? `
+                        <button type="button" data-action="reply" class="reply-btn" aria-label="Reply to this post">
+                            Reply
+                        </button>
+                    ` : ''}
+                    ${replyCount > 0 ? `
+                        <button type="button" data-action="toggle-thread" class="thread-toggle" aria-expanded="${!isCollapsed}">
+                            ${isCollapsed ? '▸' : '▾'} ${replyLabel}
+                        </button>
+                    ` : depth === 0 ? `<span class="reply-count">${replyLabel}</span>` : ''}
+                    ${!post.pending ? `
+                        <button type="button" data-action="report" class="report-btn" aria-label="Report this post">
+                            Report
+                        </button>
+                    ` : ''}
+                    ${this.canDelete(post) ? `
+                        <button type="button" data-action="delete" class="delete-btn" aria-label="Delete this post">
+                            <span class="delete-icon">🗑️</span>
+                        </button>
+                    ` : ''}
+                    ${ModerationQueue.getReportCount('forum', post.id) > 0 && auth.isModerator() ? `
+                        <span class="report-badge">${ModerationQueue.getReportCount('forum', post.id)} reports</span>
+                    ` : ''}
                 </div>
+                ${repliesHtml}
             </article>
-        `).join('');
+        `;
+    }
+
+    renderReplyTargets() {
+        const parentSelect = document.getElementById('forum-parent');
+        if (!parentSelect) return;
+
+        const selected = parentSelect.value;
+        const options = [];
+        const addOptions = (post, depth) => {
+            if (post.pending || depth >= this.maxReplyDepth) return;
+            const label = post.title || post.body.slice(0, 40);
+            options.push(`<option value="${this.escapeHtml(String(post.id))}">${'— '.repeat(depth)}Reply to: ${this.escapeHtml(label)}</option>`);
+            this.getReplies(post.id).forEach(reply => addOptions(reply, depth + 1));
+        };
+        this.getThreads().forEach(post => addOptions(post, 0));
+
+        parentSelect.innerHTML = `<option value="">New thread</option>${options.join('')}`;
+        parentSelect.value = this.findPost(selected) ? selected : '';
+        this.updateFormMode();
+    }
+
+    toggleThread(postId) {
+        const key = String(postId);
+        if (this.collapsed.has(key)) {
+            this.collapsed.delete(key);
+        } else {
+            this.collapsed.add(key);
+        }
+        this.renderPosts();
     }
 
     async likePost(postId) {
-        const post = this.posts.find(p => p.id === postId);
-        if (post) {
-            post.likes = (post.likes || 0) + 1;
+        const post = this.findPost(postId);
+        if (!post || post.pending) return;
+
+        const previous = { likes: post.likes, liked: post.liked };
+        post.liked = !post.liked;
+        post.likes = Math.max(0, post.likes + (post.liked ? 1 : -1));
+        this.renderPosts();
+
+        try {
+            const saved = await this.dataService.setForumPostLike(post.id, post.liked);
+            if (saved && typeof saved.likes === 'number') {
+                post.likes = saved.likes;
+                this.renderPosts();
+            }
+        } catch (error) {
+            console.error('Error updating like:', error);
+            Object.assign(post, previous);
             this.renderPosts();
+            this.showError('Failed to update like. Please try again.');
         }
     }
 
+    canDelete(post) {
+        const user = auth.currentUser;
+        if (!user || post.pending) return false;
+        return auth.isModerator() ||
+            post.ownedByCaller ||
+            (post.authorId !== null && String(post.authorId) === String(user.id));
+    }
+
     async deletePost(postId) {
-        if (confirm('Are you sure you want to delete this post?')) {
-            this.posts = this.posts.filter(post => post.id !== postId);
+        const post = this.findPost(postId);
+        if (!post || post.pending) return;
+        if (!this.canDelete(post)) {
+            this.showError('Only the author or a moderator can delete this post.');
+            return;
+        }
+        if (!confirm('Are you sure you want to delete this post?')) return;
+
+        // Replies go with the post they belong to
+        const removed = [post, ...this.getDescendants(post.id)];
+        this.posts = this.posts.filter(p => !removed.includes(p));
+        this.renderPosts();
+
+        try {
+            await this.dataService.deleteForumPost(post.id);
+        } catch (error) {
+            console.error('Error deleting post:', error);
+            this.posts.push(...removed);
             this.renderPosts();
+            this.showError('Failed to delete post. Please try again.');
         }
     }
 
     formatDate(dateString) {
-        const date = new Date(dateString);
-        return new Intl.RelativeTimeFormat('en', { numeric: 'auto' }).format(
-            Math.round((date - new Date()) / (1000 * 60 * 60 * 24)),
-            'day'
-        );
+        return TimeUtils.formatRelative(dateString);
     }
 
     escapeHtml(unsafe) {
@@ -277,482 +984,4416 @@ class Forum {
             .replace(/'/g, "&#039;");
     }
 
+    // Shown above the form rather than in the feed, which renderPosts replaces
     showError(message) {
         const errorDiv = document.createElement('div');
         errorDiv.className = 'error-message';
+        errorDiv.setAttribute('role', 'alert');
         errorDiv.textContent = message;
-        document.getElementById('forum-posts').prepend(errorDiv);
+        document.getElementById('forum-form').before(errorDiv);
         setTimeout(() => errorDiv.remove(), 5000);
     }
 }
 
 // Initialize forum when DOM is loaded
-const forum = new Forum();
+let forum;
+document.addEventListener('DOMContentLoaded', () => {
+    forum = new Forum();
+});
 
 // Local Storage
-function saveStories() {
-    const stories = Array.from(document.getElementById('user-stories').children)
-        .map(story => story.querySelector('.story-content').textContent);
-    localStorage.setItem('userStories', JSON.stringify(stories));
+// Stories are kept as versioned records. Version 1 was a bare array of
+// story texts; anything older than the current version is migrated on load.
+const StoryStore = {
+    storageKey: 'userStories',
+    version: 2,
+
+    load() {
+        let data;
+        try {
+            data = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            console.error('Error reading stories:', error);
+            return [];
+        }
+        if (!data) return [];
+
+        const migrated = this.migrate(data);
+        if (migrated !== data) {
+            this.save(migrated.stories);
+        }
+        return migrated.stories;
+    },
+
+    save(stories) {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            version: this.version,
+            stories
+        }));
+    },
+
+    migrate(data) {
+        if (Array.isArray(data)) {
+            const migratedAt = new Date().toISOString();
+            return {
+                version: this.version,
+                stories: data
+                    .filter(text => typeof text === 'string' && text.trim())
+                    .map(text => this.createRecord({ content: text, date: migratedAt }))
+            };
+        }
+        if (data.version === this.version && Array.isArray(data.stories)) {
+            return data;
+        }
+        console.warn(`Unknown story store version ${data.version}, starting fresh`);
+        return { version: this.version, stories: [] };
+    },
+
+    createRecord(fields) {
+        return {
+            id: `story_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            author: fields.author || 'Anonymous',
+            authorColor: fields.authorColor || null,
+            anonymous: Boolean(fields.anonymous),
+            origin: fields.origin || '',
+            destination: fields.destination || '',
+            content: fields.content,
+            date: fields.date || new Date().toISOString(),
+            likes: fields.likes || 0,
+            liked: false
+        };
+    },
+
+    add(fields) {
+        const record = this.createRecord(fields);
+        const stories = this.load();
+        stories.push(record);
+        this.save(stories);
+        return record;
+    },
+
+    update(id, changes) {
+        const stories = this.load();
+        const story = stories.find(s => s.id === id);
+        if (!story) return null;
+        Object.assign(story, changes);
+        this.save(stories);
+        return story;
+    }
+};
+
+function saveStories(stories) {
+    StoryStore.save(stories);
 }
 
 function loadStories() {
-    const stories = JSON.parse(localStorage.getItem('userStories') || '[]');
-    stories.forEach(story => {
-        const storyDiv = document.createElement('div');
-        storyDiv.className = 'story';
-        storyDiv.innerHTML = `
-            <div class="story-content">${escapeHtml(story)}</div>
-            <div class="story-meta">
-                <span class="timestamp">${new Date().toLocaleString()}</span>
-            </div>
-        `;
-        document.getElementById('user-stories').appendChild(storyDiv);
+    const container = document.getElementById('user-stories');
+    if (!container) return;
+
+    container.querySelectorAll('[data-story-id]').forEach(card => card.remove());
+    StoryStore.load().forEach(story => {
+        container.appendChild(createStoryCard(story));
     });
 }
 
-// Map Initialization
-class MapService {
-    constructor(containerId) {
-        this.containerId = containerId;
-        this.map = null;
-        this.markers = new Map();
-        this.userMarker = null;
-        this.markerCluster = null;
-        this.reviews = new Map();
+function likeStory(storyId) {
+    const story = StoryStore.load().find(s => s.id === storyId);
+    if (!story) return;
+
+    const liked = !story.liked;
+    const updated = StoryStore.update(storyId, {
+        liked,
+        likes: Math.max(0, story.likes + (liked ? 1 : -1))
+    });
+
+    refreshStoryCard(updated);
+}
+
+function refreshStoryCard(story) {
+    const card = document.querySelector(`[data-story-id="${story.id}"]`);
+    if (card) {
+        card.replaceWith(createStoryCard(story));
+    }
+}
+
+async function shareStory(storyId) {
+    const story = StoryStore.load().find(s => s.id === storyId);
+    if (!story) return;
+
+    const text = `${story.author}: ${story.content}`;
+    try {
+        if (navigator.share) {
+            await navigator.share({ title: 'Miss Migrant story', text });
+        } else {
+            await navigator.clipboard.writeText(text);
+            accessibilityManager.announce('Story copied to clipboard');
+        }
+    } catch (error) {
+        console.error('Error sharing story:', error);
+    }
+}
+
+// Story sync outbox
+// New stories are queued here and posted to the backend once there is a
+// connection, so a story written offline is kept until the server has it.
+const StoryOutbox = {
+    storageKey: 'storyOutbox',
+    flushing: false,
+    dataService: null,
+
+    getQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            console.error('Error reading story outbox:', error);
+            return [];
+        }
+    },
+
+    setQueue(queue) {
+        localStorage.setItem(this.storageKey, JSON.stringify(queue));
+    },
+
+    enqueue(storyId) {
+        const queue = this.getQueue();
+        if (!queue.some(entry => entry.storyId === storyId)) {
+            queue.push({ storyId, attempts: 0 });
+            this.setQueue(queue);
+        }
+        this.setStatus(storyId, 'pending');
+        return this.flush();
+    },
+
+    retry(storyId) {
+        this.setStatus(storyId, 'pending');
+        return this.flush();
+    },
+
+    setStatus(storyId, syncStatus, changes = {}) {
+        const story = StoryStore.update(storyId, { syncStatus, ...changes });
+        if (story) {
+            refreshStoryCard(story);
+        }
+    },
+
+    async flush() {
+        if (this.flushing || !navigator.onLine) return;
+        this.flushing = true;
+        this.dataService = this.dataService || new DataService();
+
+        try {
+            // Re-read the queue each pass so stories added mid-flush are picked up
+            const attempted = new Set();
+            let entry;
+            while ((entry = this.getQueue().find(e => !attempted.has(e.storyId)))) {
+                attempted.add(entry.storyId);
+                const story = StoryStore.load().find(s => s.id === entry.storyId);
+                if (!story) {
+                    this.remove(entry.storyId);
+                    continue;
+                }
+
+                try {
+                    const saved = await this.dataService.saveStory({
+                        clientId: story.id,
+                        author: story.author,
+                        authorColor: story.authorColor,
+                        anonymous: story.anonymous,
+                        origin: story.origin,
+                        destination: story.destination,
+                        content: story.content,
+                        date: story.date
+                    });
+                    this.remove(story.id);
+                    this.setStatus(story.id, 'synced', { serverId: saved?.id ?? null });
+                } catch (error) {
+                    this.recordFailure(story.id);
+                    // Leave it pending if the connection dropped mid-flush
+                    this.setStatus(story.id, navigator.onLine ? 'failed' : 'pending');
+                }
+            }
+        } finally {
+            this.flushing = false;
+        }
+    },
+
+    recordFailure(storyId) {
+        const queue = this.getQueue();
+        const entry = queue.find(e => e.storyId === storyId);
+        if (entry) {
+            entry.attempts += 1;
+            entry.lastAttempt = new Date().toISOString();
+            this.setQueue(queue);
+        }
+    },
+
+    remove(storyId) {
+        this.setQueue(this.getQueue().filter(entry => entry.storyId !== storyId));
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadStories();
+    StoryOutbox.flush();
+});
+
+window.addEventListener('online', () => {
+    StoryOutbox.flush();
+    ModerationQueue.sync();
+});
+
+// Content moderation
+// Reports are shared through the API and cached locally, so they still count
+// offline. Content with enough open reports is hidden from everyone except
+// moderators, who can restore or remove it.
+const ModerationQueue = {
+    storageKey: 'moderationQueue',
+    hideThreshold: 3,
+    dataService: null,
+    syncing: null,
+    reasons: {
+        spam: 'Spam or advertising',
+        harassment: 'Harassment or hate speech',
+        scam: 'Scam, trafficking or exploitation',
+        personal_info: 'Shares someone\'s personal information',
+        misinformation: 'False or dangerous information',
+        other: 'Something else'
+    },
+
+    getReports() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            console.error('Error reading moderation queue:', error);
+            return [];
+        }
+    },
+
+    saveReports(reports) {
+        localStorage.setItem(this.storageKey, JSON.stringify(reports));
+    },
+
+    getReporterId() {
+        return PseudonymIdentity.getOwnerKey();
+    },
+
+    getReportsFor(contentType, contentId, status = 'open') {
+        return this.getReports().filter(report =>
+            report.contentType === contentType &&
+            String(report.contentId) === String(contentId) &&
+            (!status || report.status === status)
+        );
+    },
+
+    getReportCount(contentType, contentId) {
+        return this.getReportsFor(contentType, contentId).length;
+    },
+
+    hasReported(contentType, contentId) {
+        const reporterId = this.getReporterId();
+        return this.getReportsFor(contentType, contentId, null)
+            .some(report => report.reporterId === reporterId);
+    },
+
+    isHidden(contentType, contentId) {
+        const reports = this.getReportsFor(contentType, contentId, null);
+        if (reports.some(report => report.status === 'removed')) return true;
+        return reports.filter(report => report.status === 'open').length >= this.hideThreshold;
+    },
+
+    report(contentType, contentId, reason, details = '', excerpt = '') {
+        if (!this.reasons[reason]) {
+            throw new Error(`Unknown report reason: ${reason}`);
+        }
+        if (this.hasReported(contentType, contentId)) {
+            return null;
+        }
+
+        const report = {
+            id: `report_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            contentType,
+            contentId: String(contentId),
+            reason,
+            details: details.slice(0, 500),
+            excerpt: excerpt.slice(0, 200),
+            reporterId: this.getReporterId(),
+            date: new Date().toISOString(),
+            status: 'open',
+            synced: false
+        };
+        const reports = this.getReports();
+        reports.push(report);
+        this.saveReports(reports);
+        this.sync();
+        return report;
+    },
+
+    async resolve(contentType, contentId, status) {
+        if (!auth.isModerator()) {
+            showError('Only moderators can resolve reports.');
+            return;
+        }
+        this.dataService = this.dataService || new DataService();
+        try {
+            const resolved = await this.dataService.resolveReports(contentType, contentId, status, this.getReporterId());
+            const ids = new Set(resolved.map(report => report.id));
+            this.saveReports([
+                ...this.getReports().filter(report => !ids.has(report.id)),
+                ...resolved.map(report => this.fromServer(report))
+            ]);
+        } catch (error) {
+            console.error('Error resolving reports:', error);
+            showError('Could not save this decision. Please try again.');
+            return;
+        }
+        this.refreshContent(contentType, contentId);
+        this.renderPanel();
+    },
+
+    fromServer(report) {
+        const { mine, ...rest } = report;
+        return { ...rest, reporterId: mine ? this.getReporterId() : null, synced: true };
+    },
+
+    // Sends this device's unsent reports, then takes the shared list from the
+    // server and redraws whatever it hides or reveals
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.pushAndPull().finally(() => { this.syncing = null; });
+        }
+        return this.syncing;
+    },
+
+    async pushAndPull() {
+        if (!navigator.onLine) return;
+        this.dataService = this.dataService || new DataService();
+        const reporterId = this.getReporterId();
+        const before = this.getReports();
+
+        try {
+            const unsent = before.filter(report => !report.synced && report.reporterId === reporterId);
+            for (const report of unsent) {
+                const { synced, ...payload } = report;
+                await this.dataService.createReport(payload);
+            }
+            const shared = (await this.dataService.fetchReports(reporterId)).map(report => this.fromServer(report));
+            this.saveReports(shared);
+        } catch (error) {
+            console.error('Error syncing reports:', error);
+            return;
+        }
+
+        const state = (reports, key) => {
+            const [contentType, contentId] = key.split(':');
+            const matching = reports.filter(report => report.contentType === contentType && report.contentId === contentId);
+            return `${matching.filter(report => report.status === 'open').length}/${matching.some(report => report.status === 'removed')}`;
+        };
+        const after = this.getReports();
+        const keys = new Set([...before, ...after].map(report => `${report.contentType}:${report.contentId}`));
+        keys.forEach(key => {
+            if (state(before, key) !== state(after, key)) {
+                const [contentType, contentId] = key.split(':');
+                this.refreshContent(contentType, contentId);
+            }
+        });
+        this.renderPanel();
+    },
+
+    // Grouped view of open reports for the moderator panel
+    getQueue() {
+        const items = new Map();
+        this.getReports()
+            .filter(report => report.status === 'open')
+            .forEach(report => {
+                const key = `${report.contentType}:${report.contentId}`;
+                if (!items.has(key)) {
+                    items.set(key, {
+                        contentType: report.contentType,
+                        contentId: report.contentId,
+                        excerpt: report.excerpt,
+                        reasons: {},
+                        reports: []
+                    });
+                }
+                const item = items.get(key);
+                // Reasons are missing from reports cached before signing in as a moderator
+                if (report.reason) {
+                    item.reasons[report.reason] = (item.reasons[report.reason] || 0) + 1;
+                }
+                item.reports.push(report);
+            });
+        return [...items.values()].sort((a, b) => b.reports.length - a.reports.length);
+    },
+
+    contentLabels: {
+        forum: 'Forum post',
+        story: 'Story',
+        review: 'Service review'
+    },
+
+    getExcerpt(contentType, contentId) {
+        if (contentType === 'forum' && typeof forum !== 'undefined' && forum) {
+            return forum.findPost(contentId)?.body || '';
+        }
+        if (contentType === 'review' && typeof mapService !== 'undefined' && mapService) {
+            return mapService.findReview(contentId)?.text || '';
+        }
+        if (contentType === 'story') {
+            return StoryStore.load().find(story => story.id === contentId)?.content || '';
+        }
+        return '';
+    },
+
+    refreshContent(contentType, contentId) {
+        if (contentType === 'forum' && typeof forum !== 'undefined' && forum) {
+            forum.renderPosts();
+        }
+        if (contentType === 'story') {
+            const story = StoryStore.load().find(s => s.id === contentId);
+            if (story) {
+                refreshStoryCard(story);
+            }
+        }
+        if (contentType === 'review' && typeof mapService !== 'undefined' && mapService) {
+            const review = mapService.findReview(contentId);
+            if (review) {
+                mapService.refreshReviews(review.serviceId);
+            }
+        }
+    },
+
+    renderPanel() {
+        const panel = document.getElementById('moderation-panel');
+        if (!panel) return;
+
+        panel.hidden = !auth.isModerator();
+        if (panel.hidden) return;
+
+        const queue = this.getQueue();
+        const list = panel.querySelector('.moderation-queue');
+        list.innerHTML = queue.length === 0
+            ? '<li class="moderation-empty">No open reports.</li>'
+            : queue.map(item => `
+                <li class="moderation-item" data-content-type="${escapeHtml(item.contentType)}" data-content-id="${escapeHtml(item.contentId)}">
+                    <div class="moderation-summary">
+                        <strong>${this.contentLabels[item.contentType] || 'Content'}</strong>
+                        <span class="report-badge">${item.reports.length} reports</span>
+                        ${this.isHidden(item.contentType, item.contentId) ? '<span class="hidden-badge">Hidden</span>' : ''}
+                    </div>
+                    <blockquote>${escapeHtml(item.excerpt || '')}</blockquote>
+                    <ul class="moderation-reasons">
+                        ${Object.entries(item.reasons).map(([reason, count]) => `
+                            <li>${escapeHtml(this.reasons[reason] || reason)} × ${count}</li>
+                        `).join('')}
+                    </ul>
+                    <div class="button-group">
+                        <button type="button" data-resolution="dismissed">Keep visible</button>
+                        <button type="button" data-resolution="removed">Remove</button>
+                    </div>
+                </li>
+            `).join('');
+    }
+};
+
+function openReportModal(contentType, contentId) {
+    if (ModerationQueue.hasReported(contentType, contentId)) {
+        accessibilityManager.announce('You have already reported this. Thank you.');
+        showError('You have already reported this. Our moderators will review it.');
+        return;
     }
 
+    closeModal();
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'report-title');
+    modal.innerHTML = `
+        <div class="modal-content">
+            <form id="report-form" class="story-form report-form">
+                <h3 id="report-title">Report this ${{ story: 'story', review: 'review' }[contentType] || 'post'}</h3>
+                <fieldset>
+                    <legend>Why are you reporting it?</legend>
+                    ${Object.entries(ModerationQueue.reasons).map(([value, label]) => `
+                        <label class="report-reason">
+                            <input type="radio" name="reason" value="${value}" required>
+                            ${escapeHtml(label)}
+                        </label>
+                    `).join('')}
+                </fieldset>
+                <textarea name="details" maxlength="500" placeholder="Anything else our moderators should know? (optional)" aria-label="Additional details"></textarea>
+                <div class="button-group">
+                    <button type="submit">Send report</button>
+                    <button type="button" onclick="closeModal()">Cancel</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelector('form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const form = e.target;
+        ModerationQueue.report(
+            contentType,
+            contentId,
+            form.elements.reason.value,
+            form.elements.details.value.trim(),
+            ModerationQueue.getExcerpt(contentType, contentId)
+        );
+        closeModal();
+        ModerationQueue.refreshContent(contentType, contentId);
+        ModerationQueue.renderPanel();
+        accessibilityManager.announce('Thank you. Our moderators will review this.');
+    });
+}
+
+// Service catalogue
+// Loads service records from the API, falling back to the bundled JSON file,
+// validates them and keeps them indexed by id for the map and directory.
+class ServiceCatalog {
+    constructor(options = {}) {
+        this.dataService = options.dataService || null;
+        this.fallbackUrl = options.fallbackUrl || 'data/services.json';
+        this.services = new Map();
+        this.loadPromise = null;
+        this.listeners = new Set();
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Error in service catalogue listener:', error);
+            }
+        });
+    }
+
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchServices()
+                .then(records => this.index(records))
+                .catch(error => {
+                    this.loadPromise = null;
+                    throw error;
+                });
+        }
+        return this.loadPromise;
+    }
+
+    async fetchServices() {
+        this.dataService = this.dataService || new DataService();
+        try {
+            return await this.dataService.fetchServices();
+        } catch (error) {
+            console.warn('Service API unavailable, using bundled catalogue:', error.message);
+        }
+
+        const response = await fetch(this.fallbackUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    index(records) {
+        if (!Array.isArray(records)) {
+            throw new Error('Service catalogue must be an array');
+        }
+
+        this.services.clear();
+        records.forEach((record, position) => {
+            const errors = ServiceCatalog.validate(record);
+            if (errors.length > 0) {
+                console.warn(`Skipping service #${position} (${record?.id ?? 'no id'}): ${errors.join('; ')}`);
+                return;
+            }
+            if (this.services.has(record.id)) {
+                console.warn(`Skipping duplicate service id ${record.id}`);
+                return;
+            }
+            this.services.set(record.id, ServiceCatalog.normalize(record));
+        });
+        // Providers keep seeing their own listings while they wait for review
+        ProviderSubmissions.getVisible()
+            .filter(record => !this.services.has(record.id) && ServiceCatalog.validate(record).length === 0)
+            .forEach(record => this.services.set(record.id, ServiceCatalog.normalize(record)));
+        this.notify();
+        return this.getAll();
+    }
+
+    addLocal(record) {
+        const errors = ServiceCatalog.validate(record);
+        if (errors.length > 0) {
+            throw new Error(`Invalid service: ${errors.join('; ')}`);
+        }
+        this.services.set(record.id, ServiceCatalog.normalize(record));
+        this.notify();
+    }
+
+    remove(id) {
+        const service = this.get(id);
+        if (!service) return;
+        this.services.delete(service.id);
+        this.notify();
+    }
+
+    static validate(record) {
+        const errors = [];
+        if (!record || typeof record !== 'object') {
+            return ['record must be an object'];
+        }
+        if (typeof record.id !== 'number' && typeof record.id !== 'string') {
+            errors.push('id must be a number or string');
+        }
+        ['name', 'type', 'description'].forEach(field => {
+            if (typeof record[field] !== 'string' || !record[field].trim()) {
+                errors.push(`${field} is required`);
+            }
+        });
+        const [lat, lng] = Array.isArray(record.location) ? record.location : [];
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            errors.push('location must be [latitude, longitude]');
+        }
+        if (record.contact !== undefined && typeof record.contact !== 'string') {
+            errors.push('contact must be a string');
+        }
+        if (record.openingHours !== undefined && !ServiceCatalog.isValidHours(record.openingHours)) {
+            errors.push('openingHours must map mon-sun to "HH:MM-HH:MM" ranges');
+        }
+        if (record.status !== undefined && !ServiceCatalog.statuses.includes(record.status)) {
+            errors.push(`status must be one of ${ServiceCatalog.statuses.join(', ')}`);
+        }
+        if (record.timezone !== undefined && typeof record.timezone !== 'string') {
+            errors.push('timezone must be an IANA zone name');
+        }
+        if (record.reviews !== undefined) {
+            if (!Array.isArray(record.reviews)) {
+                errors.push('reviews must be an array');
+            } else if (record.reviews.some(review => !(review?.rating >= 1 && review.rating <= 5))) {
+                errors.push('review ratings must be between 1 and 5');
+            }
+        }
+        return errors;
+    }
+
+    static normalize(record) {
+        return {
+            ...record,
+            type: record.type.trim().toLowerCase(),
+            contact: record.contact || '',
+            verified: Boolean(record.verified),
+            status: record.status || 'approved',
+            reviews: (record.reviews || []).map((review, index) => ({
+                id: `${record.id}-${index}`,
+                text: '',
+                author: 'Anonymous',
+                source: 'Miss Migrant',
+                ...review,
+                serviceId: record.id
+            }))
+        };
+    }
+
+    static isValidHours(hours) {
+        if (!hours || typeof hours !== 'object' || Array.isArray(hours)) return false;
+        return Object.entries(hours).every(([day, ranges]) =>
+            ServiceCatalog.weekdays.includes(day) &&
+            Array.isArray(ranges) &&
+            ranges.every(range => ServiceCatalog.parseRange(range) !== null)
+        );
+    }
+
+    static parseRange(range) {
+        const match = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/.exec(range);
+        if (!match) return null;
+        const start = Number(match[1]) * 60 + Number(match[2]);
+        const end = Number(match[3]) * 60 + Number(match[4]);
+        if (end > 24 * 60 || start === end) return null;
+        return { start, end };
+    }
+
+    // Hours are local to the service, so "now" is read in its timezone rather than the viewer's.
+    static isOpenAt(hours, date = new Date(), timeZone = ServiceCatalog.defaultTimeZone) {
+        if (!hours) return false;
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(date);
+        const part = type => parts.find(p => p.type === type).value;
+        const dayIndex = ServiceCatalog.weekdays.indexOf(part('weekday').toLowerCase());
+        const minutes = Number(part('hour')) * 60 + Number(part('minute'));
+        const today = ServiceCatalog.weekdays[dayIndex];
+        const yesterday = ServiceCatalog.weekdays[(dayIndex + 6) % 7];
+
+        const openToday = (hours[today] || []).some(range => {
+            const { start, end } = ServiceCatalog.parseRange(range);
+            return end > start ? minutes >= start && minutes < end : minutes >= start;
+        });
+        // Ranges such as 20:00-02:00 spill over into the next morning
+        const openFromYesterday = (hours[yesterday] || []).some(range => {
+            const { start, end } = ServiceCatalog.parseRange(range);
+            return end < start && minutes < end;
+        });
+        return openToday || openFromYesterday;
+    }
+
+    static averageRating(reviews) {
+        if (!reviews || reviews.length === 0) return 0;
+        return reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length;
+    }
+
+    get(id) {
+        return this.services.get(id) ?? this.services.get(Number(id)) ?? this.services.get(String(id)) ?? null;
+    }
+
+    getAll() {
+        return [...this.services.values()];
+    }
+
+    getByType(type) {
+        return this.getAll().filter(service => service.type === type);
+    }
+}
+
+ServiceCatalog.statuses = ['pending', 'approved', 'changes_requested', 'rejected'];
+ServiceCatalog.weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+ServiceCatalog.defaultTimeZone = 'Asia/Kolkata';
+
+const serviceCatalog = new ServiceCatalog();
+
+// Emergency numbers are shown even with no connection or JS: index.html has
+// the main hotlines built in, and the fuller list from the data file replaces
+// them once loaded. The last good list is kept in localStorage.
+const EmergencyContacts = {
+    storageKey: 'emergencyContacts',
+    url: 'data/emergency-contacts.json',
+    types: ['hospital', 'police', 'shelter', 'legal'],
+
+    isPhone(value) {
+        return /^\+?[\d\s()-]{3,20}$/.test(String(value || '').trim());
+    },
+
+    telHref(phone) {
+        return `tel:${String(phone).replace(/[^\d+]/g, '')}`;
+    },
+
+    callLink(name, phone, label = phone, className = '') {
+        return `<a href="${this.telHref(phone)}" class="${className}" data-confirm-call data-call-name="${escapeHtml(name)}">${escapeHtml(label)}</a>`;
+    },
+
+    validate(contacts) {
+        if (!Array.isArray(contacts)) return [];
+        return contacts.filter(contact =>
+            typeof contact?.name === 'string' && contact.name.trim() && this.isPhone(contact.phone));
+    },
+
+    getCached() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            const contacts = this.validate(cached?.contacts);
+            return contacts.length > 0 ? { contacts, updatedAt: cached.updatedAt } : null;
+        } catch (error) {
+            console.error('Error reading emergency contacts:', error);
+            return null;
+        }
+    },
+
+    async fetchLatest() {
+        let contacts = [];
+        try {
+            contacts = this.validate(await new DataService().fetchEmergencyContacts());
+        } catch (error) {
+            console.warn('Emergency contacts API unavailable:', error.message);
+        }
+        if (contacts.length === 0) {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            contacts = this.validate(await response.json());
+        }
+        if (contacts.length === 0) {
+            throw new Error('No emergency contacts available');
+        }
+        const entry = { contacts, updatedAt: new Date().toISOString() };
+        localStorage.setItem(this.storageKey, JSON.stringify(entry));
+        return entry;
+    },
+
     async init() {
+        const container = document.querySelector('.emergency-contacts');
+        if (!container) return;
+
+        // Render straight away from what we have, then refresh in the background.
+        // The list file is cached by the service worker, so it is there offline too.
+        const cached = this.getCached();
+        if (cached) this.render(container, cached);
         try {
-            // Create map instance
-            this.map = L.map(this.containerId).setView([20.5937, 78.9629], 5); // Default center of India
+            this.render(container, await this.fetchLatest());
+        } catch (error) {
+            console.warn('Showing saved or built-in emergency contacts:', error.message);
+        }
+    },
+
+    render(container, { contacts, updatedAt }) {
+        container.innerHTML = `
+            ${contacts.map(contact => `
+                <div class="emergency-card">
+                    <h3>${escapeHtml(contact.name)}</h3>
+                    ${contact.description ? `<p class="emergency-description">${escapeHtml(contact.description)}</p>` : ''}
+                    <p class="phone">${escapeHtml(contact.phone)}${contact.available ? ` <span class="availability">· ${escapeHtml(contact.available)}</span>` : ''}</p>
+                    ${this.callLink(contact.name, contact.phone, `Call ${contact.phone}`, 'call-now')}
+                </div>
+            `).join('')}
+            <p class="emergency-contacts-updated">
+                Saved on this device for offline use · updated ${TimeUtils.timeElement(updatedAt)}
+            </p>
+        `;
+    },
+
+    // A call is a big step on a shared or unfamiliar phone, so ask first
+    confirmCall(name, href) {
+        closeModal();
+        const number = href.replace(/^tel:/, '');
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.setAttribute('role', 'alertdialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'call-confirm-title');
+        modal.innerHTML = `
+            <div class="modal-content call-confirm">
+                <h3 id="call-confirm-title">Call ${escapeHtml(name)}?</h3>
+                <p>Your phone will dial <strong>${escapeHtml(number)}</strong>. Normal call charges may apply; emergency numbers are free.</p>
+                <div class="button-group">
+                    <a class="call-now" href="${escapeHtml(href)}" onclick="closeModal()">Call ${escapeHtml(number)}</a>
+                    <button type="button" onclick="closeModal()">Cancel</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        modal.querySelector('.call-now').focus();
+    }
+};
+
+document.addEventListener('click', (e) => {
+    const link = e.target.closest('a[data-confirm-call]');
+    if (!link) return;
+    e.preventDefault();
+    EmergencyContacts.confirmCall(link.dataset.callName, link.getAttribute('href'));
+});
+
+// Reviews written on this device, merged with the catalogue's reviews by MapService
+const ReviewStore = {
+    storageKey: 'serviceReviews',
+    maxLength: 1000,
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Error reading reviews:', error);
+            return [];
+        }
+    },
+
+    save(reviews) {
+        localStorage.setItem(this.storageKey, JSON.stringify(reviews));
+    },
+
+    forService(serviceId) {
+        return this.load().filter(review => String(review.serviceId) === String(serviceId));
+    },
+
+    findOwn(serviceId, ownerKey = PseudonymIdentity.getOwnerKey()) {
+        return this.forService(serviceId).find(review => review.authorKey === ownerKey) || null;
+    },
+
+    // One review per person per service: a second submission replaces the first
+    upsert(serviceId, { rating, text, identity }) {
+        const ownerKey = PseudonymIdentity.getOwnerKey();
+        const reviews = this.load();
+        const existing = reviews.find(review =>
+            String(review.serviceId) === String(serviceId) && review.authorKey === ownerKey);
+        const record = {
+            id: existing?.id || `review_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            serviceId,
+            rating,
+            text,
+            author: identity.name,
+            authorColor: identity.color,
+            anonymous: identity.anonymous,
+            authorKey: ownerKey,
+            date: new Date().toISOString(),
+            source: 'Miss Migrant'
+        };
+
+        this.save(existing
+            ? reviews.map(review => review.id === existing.id ? record : review)
+            : [...reviews, record]);
+        return record;
+    }
+};
+
+// Map tiles for offline use. Cache names must match sw.js.
+const OfflineTiles = {
+    cacheName: 'miss-migrant-offline-tiles-v1',
+    defaultTemplate: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    subdomains: 'abc',
+    // Typical size of an OpenStreetMap street tile
+    averageTileBytes: 15 * 1024,
+    // Bulk downloads are capped to respect the tile server's usage policy
+    maxTiles: 2500,
+    maxZoom: 17,
+    concurrency: 4,
+    placeholderTile: 'data:image/svg+xml,' + encodeURIComponent(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256"><rect width="256" height="256" fill="#f1f3f5"/></svg>'
+    ),
+
+    getTemplate() {
+        return document.querySelector('meta[name="tile-url-template"]')?.content || this.defaultTemplate;
+    },
+
+    isSupported() {
+        return 'caches' in window;
+    },
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    },
+
+    tileCoords(lat, lng, zoom) {
+        const count = 2 ** zoom;
+        const clampedLat = Math.max(-85.0511, Math.min(85.0511, lat));
+        const rad = clampedLat * Math.PI / 180;
+        const x = Math.floor((lng + 180) / 360 * count);
+        const y = Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * count);
+        return {
+            x: Math.max(0, Math.min(count - 1, x)),
+            y: Math.max(0, Math.min(count - 1, y))
+        };
+    },
+
+    tileRange(bounds, zoom) {
+        const topLeft = this.tileCoords(bounds.north, bounds.west, zoom);
+        const bottomRight = this.tileCoords(bounds.south, bounds.east, zoom);
+        return { minX: topLeft.x, maxX: bottomRight.x, minY: topLeft.y, maxY: bottomRight.y };
+    },
+
+    countTiles(bounds, minZoom, maxZoom) {
+        let total = 0;
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const { minX, maxX, minY, maxY } = this.tileRange(bounds, z);
+            total += (maxX - minX + 1) * (maxY - minY + 1);
+        }
+        return total;
+    },
+
+    tilesForBounds(bounds, minZoom, maxZoom) {
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const { minX, maxX, minY, maxY } = this.tileRange(bounds, z);
+            for (let x = minX; x <= maxX; x++) {
+                for (let y = minY; y <= maxY; y++) {
+                    tiles.push({ z, x, y });
+                }
+            }
+        }
+        return tiles;
+    },
+
+    estimate(bounds, minZoom, maxZoom) {
+        const tiles = this.countTiles(bounds, minZoom, maxZoom);
+        return { tiles, bytes: tiles * this.averageTileBytes, tooLarge: tiles > this.maxTiles };
+    },
+
+    formatBytes(bytes) {
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    },
+
+    // Same subdomain choice as Leaflet so cached URLs match the ones the map requests
+    tileUrl(template, { z, x, y }) {
+        const subdomain = this.subdomains[Math.abs(x + y) % this.subdomains.length];
+        return template
+            .replace('{s}', subdomain)
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y)
+            .replace('{r}', '');
+    },
+
+    async download(tiles, { template = this.getTemplate(), onProgress, signal } = {}) {
+        const cache = await caches.open(this.cacheName);
+        const result = { saved: 0, skipped: 0, failed: 0, total: tiles.length };
+        const queue = tiles.map(tile => new URL(this.tileUrl(template, tile), window.location.href).href);
+
+        const worker = async () => {
+            while (queue.length > 0 && !signal?.aborted) {
+                const url = queue.shift();
+                try {
+                    if (await cache.match(url, { ignoreVary: true })) {
+                        result.skipped++;
+                    } else {
+                        const response = await fetch(url, { mode: 'cors', signal });
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        await cache.put(url, response);
+                        result.saved++;
+                    }
+                } catch (error) {
+                    if (signal?.aborted) break;
+                    result.failed++;
+                }
+                onProgress?.(result);
+            }
+        };
+
+        await Promise.all(Array.from({ length: this.concurrency }, worker));
+        result.cancelled = Boolean(signal?.aborted);
+        return result;
+    }
+};
+
+// Map Initialization
+const GeoUtils = {
+    earthRadiusKm: 6371,
+
+    distanceKm([lat1, lng1], [lat2, lng2]) {
+        const toRad = degrees => degrees * Math.PI / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLng = toRad(lng2 - lng1);
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+        return 2 * this.earthRadiusKm * Math.asin(Math.sqrt(a));
+    },
+
+    bearingName([lat1, lng1], [lat2, lng2]) {
+        const angle = Math.atan2(lng2 - lng1, lat2 - lat1) * 180 / Math.PI;
+        const names = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+        return names[Math.round(((angle + 360) % 360) / 45) % 8];
+    },
+
+    formatDistance(km) {
+        if (km < 1) return `${Math.max(10, Math.round(km * 100) * 10)} m`;
+        return `${km < 10 ? km.toFixed(1) : Math.round(km)} km`;
+    },
+
+    formatDuration(seconds) {
+        const minutes = Math.max(1, Math.round(seconds / 60));
+        if (minutes < 60) return `${minutes} min`;
+        return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    }
+};
+
+// Routing engines share one interface: route(from, to, mode) with [lat, lng]
+// points resolves to { mode, distance (m), duration (s), coordinates, steps, approximate }.
+class ApiRoutingEngine {
+    constructor(dataService = null) {
+        this.dataService = dataService;
+    }
+
+    async route(from, to, mode) {
+        this.dataService = this.dataService || new DataService();
+        return RoutingService.normalizeRoute(await this.dataService.fetchRoute(from, to, mode), mode);
+    }
+}
+
+// Offline estimate used when no routing server answers
+class StraightLineRoutingEngine {
+    constructor() {
+        this.detourFactor = 1.3;
+        this.speeds = { walking: 1.3, transit: 5 }; // metres per second, including stops
+        this.transitWait = 10 * 60;
+    }
+
+    async route(from, to, mode) {
+        const distance = GeoUtils.distanceKm(from, to) * 1000 * this.detourFactor;
+        const duration = distance / this.speeds[mode] + (mode === 'transit' ? this.transitWait : 0);
+        return {
+            mode,
+            distance,
+            duration,
+            coordinates: [from, to],
+            steps: [{ instruction: `Head ${GeoUtils.bearingName(from, to)} towards the destination`, distance }],
+            approximate: true
+        };
+    }
+}
+
+class RoutingService {
+    constructor(engine = new ApiRoutingEngine(), fallback = new StraightLineRoutingEngine()) {
+        this.engine = engine;
+        this.fallback = fallback;
+    }
+
+    setEngine(engine) {
+        this.engine = engine;
+    }
+
+    async route(from, to, mode = 'walking') {
+        if (!RoutingService.modes.includes(mode)) {
+            throw new Error(`Unsupported travel mode: ${mode}`);
+        }
+        try {
+            return await this.engine.route(from, to, mode);
+        } catch (error) {
+            if (!this.fallback) throw error;
+            console.warn('Routing engine unavailable, using straight-line estimate:', error.message);
+            return this.fallback.route(from, to, mode);
+        }
+    }
+
+    static normalizeRoute(data, mode) {
+        const coordinates = Array.isArray(data?.coordinates) ? data.coordinates : [];
+        const validPoints = coordinates.every(point =>
+            Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]));
+        if (coordinates.length < 2 || !validPoints || !Number.isFinite(data.distance) || !Number.isFinite(data.duration)) {
+            throw new Error('Invalid route response');
+        }
+        return {
+            mode: data.mode || mode,
+            distance: data.distance,
+            duration: data.duration,
+            coordinates,
+            steps: (Array.isArray(data.steps) ? data.steps : [])
+                .filter(step => typeof step?.instruction === 'string')
+                .map(step => ({ instruction: step.instruction, distance: Number(step.distance) || 0 })),
+            approximate: Boolean(data.approximate)
+        };
+    }
+}
+
+RoutingService.modes = ['walking', 'transit'];
+
+class MapService {
+    constructor(containerId, catalog = serviceCatalog, options = {}) {
+        this.containerId = containerId;
+        this.catalog = catalog;
+        this.routing = options.routing || new RoutingService();
+        this.nearestPanelId = options.nearestPanelId || 'nearest-services';
+        this.directionsPanelId = options.directionsPanelId || 'route-directions';
+        this.reviewsPanelId = options.reviewsPanelId !== undefined ? options.reviewsPanelId : 'service-reviews';
+        // A map can be limited to some service types, e.g. the emergency map
+        this.serviceTypes = options.serviceTypes ? new Set(options.serviceTypes) : null;
+        this.syncUrl = options.syncUrl !== false;
+        this.controls = { search: true, filters: true, offline: true, ...options.controls };
+        this.dataService = options.dataService || null;
+        this.nearestCount = options.nearestCount || 5;
+        this.userPosition = null;
+        this.routeLayer = null;
+        this.routeRequest = 0;
+        this.map = null;
+        this.markers = new Map();
+        this.userMarker = null;
+        this.markerCluster = null;
+        this.reviews = new Map();
+        this.reviewSort = 'newest';
+        this.activeReviewService = null;
+        this.filters = MapService.parseFilters(this.syncUrl ? window.location.search : '');
+        this.filterControl = null;
+        this.openNowTimer = null;
+        this.offlineDownload = null;
+    }
+
+    async init() {
+        try {
+            // Create map instance
+            this.map = L.map(this.containerId).setView([20.5937, 78.9629], 5); // Default center of India
+
+            // Add tile layer (OpenStreetMap). CORS requests keep tiles cacheable by the service worker.
+            L.tileLayer(OfflineTiles.getTemplate(), {
+                attribution: '© OpenStreetMap contributors',
+                maxZoom: 19,
+                crossOrigin: '',
+                errorTileUrl: OfflineTiles.placeholderTile
+            }).addTo(this.map);
+
+            // Initialize marker clustering
+            this.initializeMarkerClustering();
+            this.routeLayer = L.layerGroup().addTo(this.map);
+            this.setupPanelActions();
+            auth.subscribe(() => {
+                if (this.activeReviewService !== null) this.renderReviewPanel(this.activeReviewService);
+            });
+
+            // Add search box
+            if (this.controls.search) this.addSearchBox();
+
+            // Load service locations
+            await this.loadServiceLocations();
+
+            // Add category, rating and opening-hours filters
+            if (this.controls.filters) this.addFilterControl();
+
+            // Add offline download action and connection notice
+            if (this.controls.offline) this.addOfflineControl();
+
+            // Add zoom controls
+            this.map.zoomControl.setPosition('topright');
+
+            // Add scale control
+            L.control.scale().addTo(this.map);
+
+            // Services show straight away; the location prompt can take as long as the user needs
+            await this.addUserLocation();
+
+        } catch (error) {
+            console.error('Error initializing map:', error);
+            this.showError('Failed to initialize map. Please try again.');
+        }
+    }
+
+    async loadServiceLocations() {
+        // Markers follow the catalogue, including reloads and later additions
+        this.catalog.subscribe(() => this.syncMarkers());
+        try {
+            await this.catalog.load();
+        } catch (error) {
+            console.error('Error loading service catalogue:', error);
+            this.showError('Failed to load services. Please try again.');
+            return;
+        }
+        this.syncMarkers();
+    }
+
+    syncMarkers() {
+        const current = new Set();
+        this.catalog.getAll().forEach(service => {
+            current.add(service.id);
+            this.reviews.set(service.id, this.mergeReviews(service));
+            const marker = this.markers.get(service.id);
+            if (marker) {
+                marker.setLatLng(service.location);
+                marker.setPopupContent(this.createServicePopup(service));
+            } else {
+                this.addServiceMarker(service);
+            }
+        });
+
+        this.markers.forEach((marker, id) => {
+            if (!current.has(id)) {
+                this.markerCluster.removeLayer(marker);
+                this.markers.delete(id);
+                this.reviews.delete(id);
+            }
+        });
+        this.applyFilters();
+    }
+
+    async addServiceMarker(service) {
+        try {
+            const icon = this.getCustomIcon(service.type);
+            const marker = L.marker(service.location, { icon })
+                .bindPopup(this.createServicePopup(service));
+
+            this.markers.set(service.id, marker);
+            if (this.matchesFilters(service)) {
+                this.markerCluster.addLayer(marker);
+            }
+        } catch (error) {
+            console.error('Error adding service marker:', error);
+        }
+    }
+
+    createServicePopup(service) {
+        const reviews = this.getVisibleReviews(service.id);
+        const avgRating = this.calculateAverageRating(reviews);
+        const stars = this.createRatingStars(avgRating);
+        const id = escapeHtml(String(service.id));
+
+        const recentReviews = this.sortReviews(reviews, 'newest')
+            .slice(0, 2)
+            .map(review => `
+                <div class="review">
+                    <div class="review-header">
+                        <span class="review-source">${escapeHtml(review.source)}</span>
+                        ${TimeUtils.timeElement(review.date, 'review-date')}
+                    </div>
+                    <div class="review-rating">${this.createRatingStars(review.rating)}</div>
+                    <p class="review-text">${escapeHtml(review.text)}</p>
+                    <span class="review-author">- ${escapeHtml(review.author)}</span>
+                </div>
+            `).join('');
+
+        return `
+            <div class="service-popup">
+                <h3>${escapeHtml(service.name)}</h3>
+                ${LocationServices.verificationBadge(service)}
+                <p>${escapeHtml(service.description)}</p>
+                <div class="rating">
+                    ${stars}
+                    <span>(${avgRating.toFixed(1)})</span>
+                </div>
+                <div class="reviews">
+                    <h4>Recent Reviews</h4>
+                    ${recentReviews || '<p>No reviews yet.</p>'}
+                    ${this.reviewsPanelId ? `
+                        <button class="service-details-btn" data-review-service="${id}">
+                            ${reviews.length > 0 ? `All reviews (${reviews.length})` : 'Write a review'}
+                        </button>
+                    ` : ''}
+                </div>
+                <p><strong>Contact:</strong> ${EmergencyContacts.isPhone(service.contact)
+                    ? EmergencyContacts.callLink(service.name, service.contact)
+                    : escapeHtml(service.contact)}</p>
+                <div class="route-actions">
+                    <button class="service-details-btn" data-route-service="${id}" data-route-mode="walking">
+                        Walking directions
+                    </button>
+                    <button class="service-details-btn" data-route-service="${id}" data-route-mode="transit">
+                        Transit directions
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Catalogue reviews plus reviews written on this device; local copies win
+    mergeReviews(service) {
+        const local = ReviewStore.forService(service.id);
+        const localIds = new Set(local.map(review => review.id));
+        return [...(service.reviews || []).filter(review => !localIds.has(review.id)), ...local];
+    }
+
+    getReviews(serviceId) {
+        const service = this.getServiceById(serviceId);
+        return service ? this.reviews.get(service.id) || [] : [];
+    }
+
+    getVisibleReviews(serviceId) {
+        return this.getReviews(serviceId).filter(review => !ModerationQueue.isHidden('review', review.id));
+    }
+
+    getRating(serviceId) {
+        return this.calculateAverageRating(this.getVisibleReviews(serviceId));
+    }
+
+    findReview(reviewId) {
+        for (const reviews of this.reviews.values()) {
+            const review = reviews.find(r => String(r.id) === String(reviewId));
+            if (review) return review;
+        }
+        return null;
+    }
+
+    sortReviews(reviews, order) {
+        const byDate = (a, b) => new Date(b.date) - new Date(a.date);
+        const comparators = {
+            newest: byDate,
+            highest: (a, b) => b.rating - a.rating || byDate(a, b),
+            lowest: (a, b) => a.rating - b.rating || byDate(a, b)
+        };
+        return [...reviews].sort(comparators[order] || byDate);
+    }
+
+    refreshReviews(serviceId) {
+        const service = this.getServiceById(serviceId);
+        if (!service) return;
+
+        this.reviews.set(service.id, this.mergeReviews(service));
+        // Popups, the rating filter and the directory all follow catalogue changes
+        this.catalog.notify();
+        if (String(this.activeReviewService) === String(service.id)) {
+            this.renderReviewPanel(service.id);
+        }
+    }
+
+    openReviews(serviceId) {
+        const service = this.getServiceById(serviceId);
+        if (!service) return;
+        this.activeReviewService = service.id;
+        this.renderReviewPanel(service.id);
+        document.getElementById(this.reviewsPanelId)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    closeReviews() {
+        this.activeReviewService = null;
+        const panel = document.getElementById(this.reviewsPanelId);
+        if (panel) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+        }
+    }
+
+    renderReviewPanel(serviceId) {
+        const panel = document.getElementById(this.reviewsPanelId);
+        const service = this.getServiceById(serviceId);
+        if (!panel || !service) return;
+
+        const visible = this.getVisibleReviews(service.id);
+        const rating = this.calculateAverageRating(visible);
+        const own = ReviewStore.findOwn(service.id);
+        const identity = PseudonymIdentity.getPostingIdentity(Boolean(own?.anonymous));
+        const sortOptions = { newest: 'Newest', highest: 'Highest rated', lowest: 'Lowest rated' };
+
+        panel.innerHTML = `
+            <div class="reviews-header">
+                <h3>Reviews for ${escapeHtml(service.name)}</h3>
+                <button type="button" class="close-button" data-action="close-reviews" aria-label="Close reviews">×</button>
+            </div>
+            <p class="reviews-average">
+                <span class="stars" aria-hidden="true">${this.createRatingStars(rating)}</span>
+                ${rating ? `${rating.toFixed(1)} out of 5` : 'No ratings yet'} · ${visible.length} ${visible.length === 1 ? 'review' : 'reviews'}
+            </p>
+            <label class="reviews-sort">
+                Sort by
+                <select name="reviewSort">
+                    ${Object.entries(sortOptions).map(([value, label]) => `
+                        <option value="${value}" ${value === this.reviewSort ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <ul class="review-list">
+                ${this.sortReviews(this.getReviews(service.id), this.reviewSort).map(review => this.renderReview(review)).join('')
+                    || '<li class="review-empty">No reviews yet. Be the first to share your experience.</li>'}
+            </ul>
+            <form class="review-form" data-service-id="${escapeHtml(String(service.id))}">
+                <h4>${own ? 'Update your review' : 'Write a review'}</h4>
+                ${own ? `<p class="review-own-note">You reviewed this ${TimeUtils.timeElement(own.date)}. Submitting again replaces your review.</p>` : ''}
+                <fieldset class="star-input">
+                    <legend>Your rating</legend>
+                    ${[5, 4, 3, 2, 1].map(value => `
+                        <input type="radio" id="review-rating-${value}" name="rating" value="${value}" ${own?.rating === value ? 'checked' : ''} required>
+                        <label for="review-rating-${value}" title="${value} ${value === 1 ? 'star' : 'stars'}">★<span class="sr-only">${value} ${value === 1 ? 'star' : 'stars'}</span></label>
+                    `).join('')}
+                </fieldset>
+                <textarea name="text" maxlength="${ReviewStore.maxLength}" placeholder="What was your experience? (optional)" aria-label="Review text">${escapeHtml(own?.text || '')}</textarea>
+                <div class="posting-identity">
+                    <p class="posting-as">Posting as ${createAuthorBadge(identity)}</p>
+                    ${auth.currentUser ? `
+                        <label class="anonymous-toggle">
+                            <input type="checkbox" name="anonymous" ${own?.anonymous ? 'checked' : ''}>
+                            Post anonymously
+                        </label>
+                    ` : ''}
+                </div>
+                <button type="submit">${own ? 'Update review' : 'Submit review'}</button>
+            </form>
+        `;
+        panel.hidden = false;
+    }
+
+    renderReview(review) {
+        if (ModerationQueue.isHidden('review', review.id) && !auth.isModerator()) {
+            return `
+                <li class="review moderated">
+                    <p class="moderated-notice">This review has been hidden after reports from the community.</p>
+                </li>
+            `;
+        }
+        const id = escapeHtml(String(review.id));
+        return `
+            <li class="review" data-review-id="${id}">
+                <div class="review-header">
+                    ${createAuthorBadge({ name: review.author, color: review.authorColor, anonymous: review.anonymous })}
+                    <span class="review-rating" aria-label="${review.rating} out of 5 stars">${this.createRatingStars(review.rating)}</span>
+                    ${TimeUtils.timeElement(review.date, 'review-date')}
+                </div>
+                ${review.text ? `<p class="review-text">${escapeHtml(review.text)}</p>` : ''}
+                <div class="review-footer">
+                    <span class="review-source">via ${escapeHtml(review.source)}</span>
+                    <button type="button" class="report-button" data-action="report-review" aria-label="Report this review">Report</button>
+                </div>
+            </li>
+        `;
+    }
+
+    async submitReview(form) {
+        const serviceId = form.dataset.serviceId;
+        const rating = Number(form.elements.rating.value);
+        const text = form.elements.text.value.trim();
+
+        if (!(rating >= 1 && rating <= 5)) {
+            showError('Please choose a star rating.');
+            return;
+        }
+        const errors = SecurityUtils.validateInput(text, { maxLength: ReviewStore.maxLength });
+        if (errors.length > 0) {
+            showErrors(errors);
+            return;
+        }
+
+        let fields = { text };
+        if (text) {
+            fields = await SecurityUtils.reviewBeforePublish(form, { text });
+            if (!fields) {
+                form.elements.text.focus();
+                return;
+            }
+        }
+
+        const identity = PseudonymIdentity.getPostingIdentity(Boolean(form.elements.anonymous?.checked));
+        const review = ReviewStore.upsert(this.getServiceById(serviceId).id, { rating, text: fields.text, identity });
+        this.refreshReviews(review.serviceId);
+        accessibilityManager.announce('Thank you. Your review has been saved.');
+
+        this.dataService = this.dataService || new DataService();
+        this.dataService.submitReview(review).catch(error => {
+            console.warn('Review saved on this device only:', error.message);
+        });
+    }
+
+    calculateAverageRating(reviews) {
+        return ServiceCatalog.averageRating(reviews);
+    }
+
+    createRatingStars(rating) {
+        const fullStars = Math.floor(rating);
+        const hasHalfStar = rating % 1 >= 0.5;
+        const emptyStars = 5 - fullStars - (hasHalfStar ? 1 : 0);
+        
+        return `
+            ${'★'.repeat(fullStars)}
+            ${hasHalfStar ? '½' : ''}
+            ${'☆'.repeat(emptyStars)}
+        `;
+    }
+
+    formatDate(dateString) {
+        return TimeUtils.formatDate(dateString);
+    }
+
+    getCustomIcon(type) {
+        const iconUrl = {
+            immigration: 'path/to/immigration-icon.png',
+            community: 'path/to/community-icon.png',
+            employment: 'path/to/employment-icon.png'
+        }[type] || 'path/to/default-icon.png';
+
+        return L.icon({
+            iconUrl,
+            iconSize: [25, 25],
+            iconAnchor: [12, 12],
+            popupAnchor: [0, -12]
+        });
+    }
+
+    // One prompt for every map on the page
+    static getUserPosition() {
+        if (!MapService.positionRequest) {
+            MapService.positionRequest = new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject);
+            }).catch(error => {
+                // A denied or timed-out prompt is asked again next time
+                MapService.positionRequest = null;
+                throw error;
+            });
+        }
+        return MapService.positionRequest;
+    }
+
+    async addUserLocation() {
+        try {
+            const position = await MapService.getUserPosition();
+
+            const { latitude, longitude } = position.coords;
+            this.setUserLocation(latitude, longitude);
+        } catch (error) {
+            console.error('Error getting user location:', error);
+            // Don't show error - user might have denied location access
+        }
+    }
+
+    setUserLocation(latitude, longitude) {
+        if (this.userMarker) {
+            this.map.removeLayer(this.userMarker);
+        }
+
+        this.userPosition = [latitude, longitude];
+        this.userMarker = L.marker(this.userPosition, {
+            icon: L.divIcon({
+                className: 'user-location-marker',
+                html: '📍',
+                iconSize: [25, 25],
+                iconAnchor: [12, 12]
+            })
+        }).addTo(this.map);
+
+        this.map.setView(this.userPosition, 12);
+        this.renderNearestServices();
+    }
+
+    focusService(serviceId) {
+        const service = this.getServiceById(serviceId);
+        const marker = service && this.markers.get(service.id);
+        if (!marker) return false;
+
+        if (!this.markerCluster.hasLayer(marker)) {
+            showError('This service is hidden by the current map filters.');
+            return false;
+        }
+        document.getElementById(this.containerId)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        if (typeof this.markerCluster.zoomToShowLayer === 'function') {
+            this.markerCluster.zoomToShowLayer(marker, () => marker.openPopup());
+        } else {
+            this.map.setView(service.location, 15);
+            marker.openPopup();
+        }
+        return true;
+    }
+
+    getServicesByDistance(origin = this.userPosition) {
+        if (!origin) return [];
+        return this.catalog.getAll()
+            .filter(service => this.matchesFilters(service))
+            .map(service => ({ service, distance: GeoUtils.distanceKm(origin, service.location) }))
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    renderNearestServices() {
+        const panel = document.getElementById(this.nearestPanelId);
+        if (!panel) return;
+
+        const list = panel.querySelector('.nearest-list');
+        const empty = panel.querySelector('.nearest-empty');
+        const nearest = this.getServicesByDistance().slice(0, this.nearestCount);
+
+        // Without a location the panel keeps its own prompt from the page
+        if (this.userPosition && nearest.length === 0) {
+            empty.textContent = 'No services match the current filters.';
+        }
+        empty.hidden = nearest.length > 0;
+
+        list.innerHTML = nearest.map(({ service, distance }) => {
+            const id = escapeHtml(String(service.id));
+            return `
+                <li class="nearest-item">
+                    <div class="nearest-details">
+                        <strong>${escapeHtml(service.name)}</strong>
+                        <span class="nearest-meta">${escapeHtml(service.type)} · ${GeoUtils.formatDistance(distance)} away</span>
+                    </div>
+                    <div class="route-actions">
+                        <button type="button" data-route-service="${id}" data-route-mode="walking" aria-label="Walking directions to ${escapeHtml(service.name)}">Walk</button>
+                        <button type="button" data-route-service="${id}" data-route-mode="transit" aria-label="Transit directions to ${escapeHtml(service.name)}">Transit</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    setupPanelActions() {
+        const handleClick = event => {
+            const routeButton = event.target.closest('[data-route-service]');
+            const reviewButton = event.target.closest('[data-review-service]');
+            if (routeButton) {
+                this.showRoute(routeButton.dataset.routeService, routeButton.dataset.routeMode);
+            } else if (reviewButton) {
+                this.openReviews(reviewButton.dataset.reviewService);
+            } else if (event.target.closest('[data-action="clear-route"]')) {
+                this.clearRoute();
+            } else if (event.target.closest('[data-action="close-reviews"]')) {
+                this.closeReviews();
+            } else if (event.target.closest('[data-action="report-review"]')) {
+                openReportModal('review', event.target.closest('[data-review-id]').dataset.reviewId);
+            }
+        };
+
+        [this.containerId, this.nearestPanelId, this.directionsPanelId, this.reviewsPanelId]
+            .map(id => document.getElementById(id))
+            .filter(Boolean)
+            .forEach(element => element.addEventListener('click', handleClick));
+
+        const reviewsPanel = document.getElementById(this.reviewsPanelId);
+        reviewsPanel?.addEventListener('change', event => {
+            if (event.target.name === 'reviewSort') {
+                this.reviewSort = event.target.value;
+                this.renderReviewPanel(this.activeReviewService);
+            }
+        });
+        reviewsPanel?.addEventListener('submit', event => {
+            event.preventDefault();
+            this.submitReview(event.target);
+        });
+    }
+
+    async showRoute(serviceId, mode = 'walking') {
+        const service = this.getServiceById(serviceId);
+        if (!service) return;
+
+        if (!this.userPosition) {
+            await this.addUserLocation();
+        }
+        if (!this.userPosition) {
+            this.renderDirections('<p>Share your location to get directions.</p>');
+            return;
+        }
+
+        const request = ++this.routeRequest;
+        this.renderDirections(`<p>Finding a ${mode} route to ${escapeHtml(service.name)}...</p>`);
+
+        try {
+            const route = await this.routing.route(this.userPosition, service.location, mode);
+            if (request !== this.routeRequest) return;
+            this.drawRoute(route);
+            this.renderRoute(service, route);
+        } catch (error) {
+            if (request !== this.routeRequest) return;
+            console.error('Error finding route:', error);
+            this.renderDirections('<p>Could not find a route. Please try again.</p>');
+        }
+    }
+
+    drawRoute(route) {
+        this.routeLayer.clearLayers();
+        const line = L.polyline(route.coordinates, {
+            className: `route-line route-${route.mode}`,
+            weight: 5,
+            dashArray: route.mode === 'transit' || route.approximate ? '8 6' : null
+        }).addTo(this.routeLayer);
+
+        this.map.closePopup();
+        this.map.fitBounds(line.getBounds(), { padding: [30, 30] });
+    }
+
+    renderRoute(service, route) {
+        const modeLabel = route.mode === 'transit' ? 'Transit' : 'Walking';
+        this.renderDirections(`
+            <div class="route-summary">
+                <h3>${modeLabel} directions to ${escapeHtml(service.name)}</h3>
+                <p>${GeoUtils.formatDistance(route.distance / 1000)} · about ${GeoUtils.formatDuration(route.duration)}</p>
+                ${route.approximate ? '<p class="route-approximate">Routing is unavailable, so this is a straight-line estimate.</p>' : ''}
+            </div>
+            <ol class="route-steps">
+                ${route.steps.map(step => `
+                    <li>${escapeHtml(step.instruction)}${step.distance ? ` <span class="route-step-distance">${GeoUtils.formatDistance(step.distance / 1000)}</span>` : ''}</li>
+                `).join('')}
+            </ol>
+            <button type="button" data-action="clear-route">Clear route</button>
+        `);
+    }
+
+    renderDirections(html) {
+        const panel = document.getElementById(this.directionsPanelId);
+        if (!panel) return;
+        panel.innerHTML = html;
+        panel.hidden = false;
+    }
+
+    clearRoute() {
+        this.routeRequest++;
+        this.routeLayer?.clearLayers();
+        const panel = document.getElementById(this.directionsPanelId);
+        if (panel) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+        }
+    }
+
+    addSearchBox() {
+        const searchControl = L.control({ position: 'topleft' });
+
+        searchControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'leaflet-control-search');
+            const input = L.DomUtil.create('input', 'search-input', container);
+            
+            input.type = 'text';
+            input.placeholder = 'Search for services...';
+            input.value = this.filters.query;
+            
+            L.DomEvent.disableClickPropagation(container);
+            
+            input.addEventListener('input', (e) => {
+                this.handleSearch(e.target.value);
+            });
+            
+            return container;
+        };
+
+        searchControl.addTo(this.map);
+    }
+
+    handleSearch(query) {
+        this.filters.query = query.trim();
+        this.applyFilters();
+    }
+
+    getServiceTypes() {
+        const types = new Set(['immigration', 'community', 'employment']);
+        new ServiceProvider().categories.forEach(category => types.add(category.toLowerCase()));
+        this.catalog.getAll().forEach(service => types.add(service.type));
+        return [...types].filter(type => !this.serviceTypes || this.serviceTypes.has(type)).sort();
+    }
+
+    addFilterControl() {
+        const filterControl = L.control({ position: 'topright' });
+
+        filterControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'leaflet-control-filters');
+            const { types, minRating, openNow } = this.filters;
+
+            container.innerHTML = `
+                <details open>
+                    <summary>Filter services</summary>
+                    <fieldset class="filter-types">
+                        <legend>Type</legend>
+                        ${this.getServiceTypes().map(type => `
+                            <label>
+                                <input type="checkbox" name="type" value="${escapeHtml(type)}"
+                                    ${!types || types.has(type) ? 'checked' : ''}>
+                                ${escapeHtml(type.charAt(0).toUpperCase() + type.slice(1))}
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                    <label class="filter-rating">
+                        Minimum rating: <output>${minRating > 0 ? minRating.toFixed(1) : 'Any'}</output>
+                        <input type="range" name="minRating" min="0" max="5" step="0.5" value="${minRating}">
+                    </label>
+                    <label class="filter-open-now">
+                        <input type="checkbox" name="openNow" ${openNow ? 'checked' : ''}>
+                        Open now
+                    </label>
+                    <p class="filter-summary" aria-live="polite"></p>
+                </details>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.addEventListener('input', () => this.readFilterControl(container));
+            return container;
+        };
+
+        filterControl.addTo(this.map);
+        this.filterControl = filterControl;
+        this.applyFilters();
+
+        // Opening hours move with the clock, so re-check while the filter is on
+        this.openNowTimer = setInterval(() => {
+            if (this.filters.openNow) this.applyFilters();
+        }, 60000);
+    }
+
+    readFilterControl(container) {
+        const typeInputs = [...container.querySelectorAll('input[name="type"]')];
+        const checked = typeInputs.filter(input => input.checked).map(input => input.value);
+        const minRating = Number(container.querySelector('input[name="minRating"]').value);
+
+        this.filters.types = checked.length === typeInputs.length ? null : new Set(checked);
+        this.filters.minRating = minRating;
+        this.filters.openNow = container.querySelector('input[name="openNow"]').checked;
+        container.querySelector('.filter-rating output').textContent = minRating > 0 ? minRating.toFixed(1) : 'Any';
+
+        this.applyFilters();
+    }
+
+    matchesFilters(service) {
+        const { types, minRating, openNow, query } = this.filters;
+
+        if (this.serviceTypes && !this.serviceTypes.has(service.type)) return false;
+        if (types && !types.has(service.type)) return false;
+        if (minRating > 0 && this.getRating(service.id) < minRating) return false;
+        if (openNow && !ServiceCatalog.isOpenAt(service.openingHours, new Date(), service.timezone)) return false;
+        if (query) {
+            const needle = query.toLowerCase();
+            return [service.name, service.description, service.type]
+                .some(field => field.toLowerCase().includes(needle));
+        }
+        return true;
+    }
+
+    applyFilters() {
+        let visible = 0;
+
+        this.markers.forEach((marker, id) => {
+            const service = this.getServiceById(id);
+            const matches = Boolean(service) && this.matchesFilters(service);
+            const shown = this.markerCluster.hasLayer(marker);
+
+            if (matches && !shown) {
+                this.markerCluster.addLayer(marker);
+            } else if (!matches && shown) {
+                this.markerCluster.removeLayer(marker);
+            }
+            if (matches) visible++;
+        });
+        this.renderNearestServices();
+
+        const summary = this.filterControl?.getContainer()?.querySelector('.filter-summary');
+        if (summary) {
+            summary.textContent = `Showing ${visible} of ${this.markers.size} services`;
+        }
+        if (this.syncUrl) this.syncFiltersToUrl();
+    }
+
+    addOfflineControl() {
+        const offlineControl = L.control({ position: 'bottomleft' });
+
+        offlineControl.onAdd = () => {
+            const container = L.DomUtil.create('div', 'leaflet-control-offline');
+            container.innerHTML = `
+                <p class="offline-notice" role="status" ${navigator.onLine ? 'hidden' : ''}>
+                    You're offline. Showing saved map areas.
+                </p>
+                <button type="button" class="offline-download-toggle" ${OfflineTiles.isSupported() ? '' : 'hidden'}>
+                    Download this area
+                </button>
+                <div class="offline-download-panel" hidden>
+                    <label>
+                        Zoom levels
+                        <select name="minZoom"></select>
+                        to
+                        <select name="maxZoom"></select>
+                    </label>
+                    <p class="offline-estimate"></p>
+                    <progress max="1" value="0" hidden></progress>
+                    <p class="offline-status" aria-live="polite"></p>
+                    <div class="offline-actions">
+                        <button type="button" data-action="start">Download</button>
+                        <button type="button" data-action="cancel">Cancel</button>
+                    </div>
+                </div>
+            `;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+
+            container.querySelector('.offline-download-toggle').addEventListener('click', () => this.openOfflinePanel(container));
+            container.querySelectorAll('select').forEach(select => {
+                select.addEventListener('change', () => this.updateOfflineEstimate(container));
+            });
+            container.querySelector('[data-action="start"]').addEventListener('click', () => this.downloadVisibleArea(container));
+            container.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+                if (this.offlineDownload) {
+                    this.offlineDownload.abort();
+                } else {
+                    container.querySelector('.offline-download-panel').hidden = true;
+                }
+            });
+
+            const notice = container.querySelector('.offline-notice');
+            window.addEventListener('online', () => { notice.hidden = true; });
+            window.addEventListener('offline', () => { notice.hidden = false; });
+
+            this.map.on('moveend', () => {
+                if (!container.querySelector('.offline-download-panel').hidden && !this.offlineDownload) {
+                    this.updateOfflineEstimate(container);
+                }
+            });
+            return container;
+        };
+
+        offlineControl.addTo(this.map);
+    }
+
+    openOfflinePanel(container) {
+        const panel = container.querySelector('.offline-download-panel');
+        const current = Math.min(Math.round(this.map.getZoom()), OfflineTiles.maxZoom);
+        const options = [];
+        for (let zoom = current; zoom <= OfflineTiles.maxZoom; zoom++) {
+            options.push(`<option value="${zoom}">${zoom}</option>`);
+        }
+
+        container.querySelector('select[name="minZoom"]').innerHTML = options.join('');
+        container.querySelector('select[name="maxZoom"]').innerHTML = options.join('');
+        container.querySelector('select[name="maxZoom"]').value = String(Math.min(current + 2, OfflineTiles.maxZoom));
+        container.querySelector('.offline-status').textContent = '';
+        panel.hidden = false;
+        this.updateOfflineEstimate(container);
+    }
+
+    getOfflineSelection(container) {
+        const bounds = this.map.getBounds();
+        const first = Number(container.querySelector('select[name="minZoom"]').value);
+        const last = Number(container.querySelector('select[name="maxZoom"]').value);
+        return {
+            bounds: { north: bounds.getNorth(), south: bounds.getSouth(), east: bounds.getEast(), west: bounds.getWest() },
+            minZoom: Math.min(first, last),
+            maxZoom: Math.max(first, last)
+        };
+    }
+
+    updateOfflineEstimate(container) {
+        const { bounds, minZoom, maxZoom } = this.getOfflineSelection(container);
+        const { tiles, bytes, tooLarge } = OfflineTiles.estimate(bounds, minZoom, maxZoom);
+        const estimate = container.querySelector('.offline-estimate');
+
+        estimate.textContent = tooLarge
+            ? `${tiles.toLocaleString()} tiles is more than the ${OfflineTiles.maxTiles.toLocaleString()} tile limit. Zoom in or choose fewer zoom levels.`
+            : `About ${tiles.toLocaleString()} tiles (~${OfflineTiles.formatBytes(bytes)}).`;
+        estimate.classList.toggle('too-large', tooLarge);
+        container.querySelector('[data-action="start"]').disabled = tooLarge;
+    }
+
+    async downloadVisibleArea(container) {
+        if (this.offlineDownload) return;
+
+        const { bounds, minZoom, maxZoom } = this.getOfflineSelection(container);
+        if (OfflineTiles.estimate(bounds, minZoom, maxZoom).tooLarge) return;
+
+        const progress = container.querySelector('progress');
+        const status = container.querySelector('.offline-status');
+        const startButton = container.querySelector('[data-action="start"]');
+        const tiles = OfflineTiles.tilesForBounds(bounds, minZoom, maxZoom);
+
+        this.offlineDownload = new AbortController();
+        startButton.disabled = true;
+        progress.hidden = false;
+        progress.value = 0;
+        status.textContent = 'Downloading map tiles...';
+
+        try {
+            const result = await OfflineTiles.download(tiles, {
+                signal: this.offlineDownload.signal,
+                onProgress: ({ saved, skipped, failed, total }) => {
+                    progress.value = (saved + skipped + failed) / total;
+                }
+            });
+
+            if (result.cancelled) {
+                status.textContent = `Download cancelled. ${result.saved + result.skipped} tiles are saved.`;
+            } else if (result.failed > 0) {
+                status.textContent = `Saved ${result.saved + result.skipped} of ${result.total} tiles. ${result.failed} could not be downloaded; try again when your connection is better.`;
+            } else {
+                status.textContent = 'This area is now available offline.';
+            }
+        } catch (error) {
+            console.error('Error downloading offline tiles:', error);
+            status.textContent = 'Could not save map tiles on this device.';
+        } finally {
+            this.offlineDownload = null;
+            startButton.disabled = false;
+            progress.hidden = true;
+        }
+    }
+
+    static parseFilters(search) {
+        const params = new URLSearchParams(search);
+        const types = params.get('types');
+        const minRating = Number(params.get('minRating'));
+
+        return {
+            types: types === null ? null : new Set(types.split(',').filter(Boolean)),
+            minRating: minRating >= 0 && minRating <= 5 ? minRating : 0,
+            openNow: params.get('openNow') === '1',
+            query: params.get('q') || ''
+        };
+    }
+
+    syncFiltersToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const { types, minRating, openNow, query } = this.filters;
+        const set = (key, value) => value ? params.set(key, value) : params.delete(key);
+
+        if (types) {
+            params.set('types', [...types].join(','));
+        } else {
+            params.delete('types');
+        }
+        set('minRating', minRating > 0 ? String(minRating) : '');
+        set('openNow', openNow ? '1' : '');
+        set('q', query);
+
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    getServiceById(id) {
+        return this.catalog.get(id);
+    }
+
+    showError(message) {
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        errorDiv.textContent = message;
+        
+        document.body.appendChild(errorDiv);
+        
+        setTimeout(() => {
+            errorDiv.remove();
+        }, 5000);
+    }
+
+    initializeMarkerClustering() {
+        if (!this.markerCluster) {
+            // Fall back to a plain layer group if the clustering plugin failed to load
+            this.markerCluster = typeof L.markerClusterGroup === 'function'
+                ? L.markerClusterGroup({
+                    maxClusterRadius: 50,
+                    spiderfyOnMaxZoom: true,
+                    showCoverageOnHover: false,
+                    zoomToBoundsOnClick: true
+                })
+                : L.layerGroup();
+            
+            this.map.addLayer(this.markerCluster);
+        }
+    }
+}
+
+MapService.positionRequest = null;
+
+// Initialize map and services directory when DOM is loaded
+let mapService;
+let emergencyMapService;
+let locationServices;
+let serviceProvider;
+let calendar;
+let chatSupport;
+let volunteerConsole;
+document.addEventListener('DOMContentLoaded', () => {
+    OfflineTiles.registerServiceWorker();
+    EmergencyContacts.init();
+
+    mapService = new MapService('map-container');
+    mapService.init();
+
+    emergencyMapService = new MapService('emergency-services-map', serviceCatalog, {
+        serviceTypes: EmergencyContacts.types,
+        syncUrl: false,
+        controls: { search: false, filters: false, offline: false },
+        nearestPanelId: 'emergency-nearest',
+        directionsPanelId: 'emergency-directions',
+        reviewsPanelId: null
+    });
+    emergencyMapService.init();
+
+    locationServices = new LocationServices({ mapService, linkedMaps: [emergencyMapService] });
+    locationServices.loadDirectory();
+
+    serviceProvider = new ServiceProvider({ geocoder: locationServices.geocoder });
+    serviceProvider.mount();
+
+    EventReminders.listen();
+    EventReminders.schedule();
+    calendar = new EventCalendar();
+    calendar.init();
+
+    chatSupport = new ChatSupport();
+    chatSupport.initialize();
+
+    volunteerConsole = new VolunteerConsole();
+    volunteerConsole.init();
+});
+
+// Add after existing utility functions
+const supportedLanguages = {
+    en: 'English',
+    es: 'Español',
+    fr: 'Français',
+    ar: 'العربية'
+};
+
+function changeLanguage(lang) {
+    document.documentElement.lang = lang;
+    TimeUtils.refreshTimestamps();
+    // Fetch and apply translations
+    fetch(`/translations/${lang}.json`)
+        .then(response => response.json())
+        .then(translations => {
+            document.querySelectorAll('[data-translate]').forEach(element => {
+                const key = element.getAttribute('data-translate');
+                if (translations[key]) {
+                    element.textContent = translations[key];
+                }
+            });
+        });
+}
+
+// Add after existing code
+class UserAuth {
+    constructor() {
+        this.currentUser = null;
+        this.listeners = new Set();
+        this.refreshTimer = null;
+        this.refreshPromise = null;
+        // Refresh this long before the access token runs out
+        this.refreshMargin = 60 * 1000;
+        this.storageKeys = {
+            token: 'authToken',
+            refreshToken: 'authRefreshToken',
+            expiresAt: 'authExpiresAt',
+            user: 'authUser'
+        };
+    }
+
+    // Listeners receive { type, user } where type is one of
+    // 'login', 'register', 'restore', 'refresh', 'logout' or 'expired'
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(type) {
+        this.listeners.forEach(listener => {
+            try {
+                listener({ type, user: this.currentUser });
+            } catch (error) {
+                console.error('Auth listener failed:', error);
+            }
+        });
+    }
+
+    async login(email, password) {
+        try {
+            const response = await fetch('/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, password })
+            });
+            
+            if (response.ok) {
+                this.startSession(await response.json());
+                this.updateUI();
+                this.emit('login');
+                return true;
+            }
+            return false;
+        } catch (error) {
+            console.error('Login failed:', error);
+            return false;
+        }
+    }
+
+    async register(name, email, password) {
+        try {
+            const response = await fetch('/api/register', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, email, password })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (response.ok) {
+                this.startSession(data);
+                this.updateUI();
+                this.emit('register');
+                return { success: true };
+            }
+            return { success: false, error: data.error || 'Registration failed' };
+        } catch (error) {
+            console.error('Registration failed:', error);
+            return { success: false, error: 'Registration failed. Please try again.' };
+        }
+    }
+
+    async logout() {
+        const token = localStorage.getItem(this.storageKeys.token);
+        if (token) {
+            // Best effort: the local session ends even if the server is unreachable
+            fetch('/api/logout', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            }).catch(error => console.error('Logout request failed:', error));
+        }
+        this.endSession();
+        this.updateUI();
+        this.emit('logout');
+    }
+
+    async restoreSession() {
+        const token = localStorage.getItem(this.storageKeys.token);
+        const storedUser = localStorage.getItem(this.storageKeys.user);
+        if (!token || !storedUser) return false;
+
+        try {
+            this.currentUser = JSON.parse(storedUser);
+        } catch (error) {
+            this.endSession();
+            return false;
+        }
+
+        // A refused refresh ends the session; an offline one keeps it, and the
+        // next authenticated request tries again
+        if (this.isTokenExpired() && !(await this.refreshSession()) && !this.currentUser) {
+            return false;
+        }
+
+        if (!this.isTokenExpired()) this.scheduleRefresh();
+        this.updateUI();
+        this.emit('restore');
+        return true;
+    }
+
+    // Concurrent callers share one refresh request
+    refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async requestRefresh() {
+        const refreshToken = localStorage.getItem(this.storageKeys.refreshToken);
+        if (!refreshToken) {
+            this.expireSession();
+            return false;
+        }
+
+        try {
+            const response = await fetch('/api/token/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            if (!response.ok) {
+                this.expireSession();
+                return false;
+            }
+            this.startSession(await response.json());
+            this.emit('refresh');
+            return true;
+        } catch (error) {
+            // Offline: keep the session and try again on the next request
+            console.error('Token refresh failed:', error);
+            return false;
+        }
+    }
+
+    startSession(data) {
+        const { token, refreshToken, expiresIn } = data;
+        this.currentUser = data.user || data;
+
+        if (token) {
+            localStorage.setItem(this.storageKeys.token, token);
+        }
+        if (refreshToken) {
+            localStorage.setItem(this.storageKeys.refreshToken, refreshToken);
+        }
+        const expiresAt = expiresIn ? Date.now() + expiresIn * 1000 : this.getTokenExpiry(token);
+        if (expiresAt) {
+            localStorage.setItem(this.storageKeys.expiresAt, String(expiresAt));
+        } else {
+            localStorage.removeItem(this.storageKeys.expiresAt);
+        }
+        localStorage.setItem(this.storageKeys.user, JSON.stringify(this.currentUser));
+        this.scheduleRefresh();
+    }
+
+    endSession() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.currentUser = null;
+        Object.values(this.storageKeys).forEach(key => localStorage.removeItem(key));
+    }
+
+    expireSession() {
+        if (!this.currentUser) return;
+        this.endSession();
+        this.updateUI();
+        this.emit('expired');
+    }
+
+    // Reads the exp claim when the token is a JWT
+    getTokenExpiry(token) {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp ? payload.exp * 1000 : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isTokenExpired() {
+        const expiresAt = Number(localStorage.getItem(this.storageKeys.expiresAt));
+        return Boolean(expiresAt) && Date.now() >= expiresAt;
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        const expiresAt = Number(localStorage.getItem(this.storageKeys.expiresAt));
+        if (!expiresAt) return;
+
+        // Short-lived tokens refresh halfway through instead
+        const remaining = expiresAt - Date.now();
+        const delay = Math.max(0, remaining - Math.min(this.refreshMargin, remaining / 2));
+        this.refreshTimer = setTimeout(() => this.refreshSession(), delay);
+    }
+
+    isModerator() {
+        return ['moderator', 'admin'].includes(this.currentUser?.role);
+    }
+
+    isAdmin() {
+        return this.currentUser?.role === 'admin';
+    }
+
+    isVolunteer() {
+        return ['volunteer', 'admin'].includes(this.currentUser?.role);
+    }
+
+    updateUI() {
+        const authSection = document.querySelector('.auth-section');
+        if (!authSection) return;
+
+        if (this.currentUser) {
+            authSection.innerHTML = `
+                <span>Welcome, ${escapeHtml(this.currentUser.name)}</span>
+                <button type="button" data-auth="logout">Logout</button>
+            `;
+        } else {
+            authSection.innerHTML = `
+                <button type="button" data-auth="login">Log in</button>
+                <button type="button" data-auth="register">Register</button>
+            `;
+        }
+    }
+}
+
+function openAuthModal(mode = 'login') {
+    closeModal();
+    const isRegister = mode === 'register';
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'auth-title');
+    modal.innerHTML = `
+        <div class="modal-content">
+            <form id="auth-form" class="story-form" novalidate>
+                <h3 id="auth-title">${isRegister ? 'Create an account' : 'Log in'}</h3>
+                ${isRegister ? '<input type="text" name="name" placeholder="Your name" aria-label="Your name" autocomplete="name" required>' : ''}
+                <input type="email" name="email" placeholder="Email" aria-label="Email" autocomplete="email" required>
+                <input type="password" name="password" placeholder="Password" aria-label="Password" autocomplete="${isRegister ? 'new-password' : 'current-password'}" required>
+                <div class="button-group">
+                    <button type="submit">${isRegister ? 'Register' : 'Log in'}</button>
+                    <button type="button" onclick="closeModal()">Cancel</button>
+                </div>
+                <button type="button" class="button-text" data-auth="${isRegister ? 'login' : 'register'}">
+                    ${isRegister ? 'Already have an account? Log in' : 'New here? Create an account'}
+                </button>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const form = modal.querySelector('form');
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = form.elements.name?.value.trim() || '';
+        const email = form.elements.email.value.trim();
+        const password = form.elements.password.value;
+
+        const errors = [
+            ...(isRegister ? SecurityUtils.validateInput(name, { required: true, maxLength: 60 }) : []),
+            ...SecurityUtils.validateInput(email, { required: true, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ }),
+            ...SecurityUtils.validateInput(password, { required: true, minLength: isRegister ? 8 : 1 })
+        ];
+        if (errors.length > 0) {
+            showErrors(errors);
+            return;
+        }
+
+        if (isRegister) {
+            const result = await auth.register(name, email, password);
+            if (!result.success) {
+                showError(result.error);
+                return;
+            }
+        } else if (!(await auth.login(email, password))) {
+            showError('Email or password is incorrect.');
+            return;
+        }
+        closeModal();
+    });
+}
+
+const auth = new UserAuth();
+// Log in, register and logout buttons are rendered by several features
+document.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-auth]');
+    if (!button) return;
+    if (button.dataset.auth === 'logout') {
+        auth.logout();
+    } else {
+        openAuthModal(button.dataset.auth);
+    }
+});
+auth.subscribe(({ type }) => {
+    ModerationQueue.renderPanel();
+    // Moderators get reasons and excerpts the public list leaves out
+    if (type !== 'refresh') ModerationQueue.sync();
+});
+document.getElementById('moderation-panel')?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-resolution]');
+    if (!button) return;
+    const { contentType, contentId } = button.closest('.moderation-item').dataset;
+    ModerationQueue.resolve(contentType, contentId, button.dataset.resolution);
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+    auth.updateUI();
+    auth.restoreSession().finally(() => ModerationQueue.sync());
+});
+
+// Add new calendar functionality
+class EventCalendar {
+    constructor(options = {}) {
+        this.events = [];
+        this.containerId = options.containerId || 'events';
+        this.dataService = options.dataService || null;
+        this.views = ['month', 'week', 'list'];
+        this.view = 'list';
+        this.cursor = EventCalendar.startOfDay(new Date());
+        this.showPast = false;
+        this.onlyMine = false;
+        this.selectedId = null;
+        this.busy = new Set();
+        this.importedStorageKey = 'importedEvents';
+        // Registration state depends on who is logged in
+        auth.subscribe(({ type }) => {
+            if (type === 'logout' || type === 'expired') EventReminders.clear();
+            if (type !== 'refresh') this.load();
+        });
+    }
+
+    init() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        this.dataService = this.dataService || new DataService();
+        container.querySelector('.event-calendar').innerHTML = `
+            <div class="calendar-toolbar">
+                <div class="calendar-views" role="group" aria-label="Calendar view">
+                    ${this.views.map(view => `
+                        <button type="button" data-view="${view}" aria-pressed="${view === this.view}">
+                            ${view.charAt(0).toUpperCase() + view.slice(1)}
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="calendar-nav">
+                    <button type="button" data-step="-1" aria-label="Previous">‹</button>
+                    <button type="button" data-action="today">Today</button>
+                    <button type="button" data-step="1" aria-label="Next">›</button>
+                    <span class="calendar-period" aria-live="polite"></span>
+                </div>
+                <label><input type="checkbox" class="calendar-show-past"> Show past events</label>
+                <button type="button" class="calendar-mine" aria-pressed="false">My registrations</button>
+                <details class="reminder-settings">
+                    <summary>Reminders</summary>
+                    <div class="reminder-settings-body"></div>
+                </details>
+                <div class="calendar-files">
+                    <button type="button" data-action="export-all">Export to calendar (.ics)</button>
+                    <label class="calendar-import">
+                        Import .ics
+                        <input type="file" class="calendar-import-input" accept=".ics,text/calendar">
+                    </label>
+                </div>
+            </div>
+            <div class="calendar-body"></div>
+            <div class="event-details" aria-live="polite"></div>
+        `;
+
+        container.addEventListener('click', (e) => {
+            const viewButton = e.target.closest('[data-view]');
+            const stepButton = e.target.closest('[data-step]');
+            const eventButton = e.target.closest('[data-event-id]');
+            // Card buttons find their event from the card, rather than an id quoted into onclick
+            const cardAction = e.target.closest('[data-event-card] [data-action]');
+            const cardId = cardAction?.closest('[data-event-card]').dataset.eventCard;
+            if (cardAction?.dataset.action === 'register') {
+                this.registerForEvent(cardId);
+            } else if (cardAction?.dataset.action === 'cancel-registration') {
+                this.cancelRegistration(cardId);
+            } else if (cardAction?.dataset.action === 'remove-imported') {
+                this.removeImported(cardId);
+            } else if (cardAction?.dataset.action === 'export-event') {
+                this.exportEvent(cardId);
+            } else if (viewButton) {
+                this.setView(viewButton.dataset.view);
+            } else if (stepButton) {
+                this.step(Number(stepButton.dataset.step));
+            } else if (e.target.closest('[data-action="today"]')) {
+                this.cursor = EventCalendar.startOfDay(new Date());
+                this.renderEvents();
+            } else if (e.target.closest('[data-action="export-all"]')) {
+                this.exportEvents(this.getVisibleEvents(), 'miss-migrant-events.ics');
+            } else if (e.target.closest('[data-action="reload"]')) {
+                this.load();
+            } else if (e.target.closest('.calendar-mine')) {
+                this.onlyMine = !this.onlyMine;
+                this.renderEvents();
+            } else if (eventButton) {
+                this.showEvent(eventButton.dataset.eventId);
+            }
+        });
+        container.querySelector('.calendar-show-past').addEventListener('change', (e) => {
+            this.showPast = e.target.checked;
+            this.renderEvents();
+        });
+        const reminderSettings = container.querySelector('.reminder-settings-body');
+        EventReminders.renderSettings(reminderSettings);
+        reminderSettings.addEventListener('change', () => {
+            const offsets = [...reminderSettings.querySelectorAll('[name="reminder-offset"]:checked')]
+                .map(input => Number(input.value));
+            EventReminders.saveSettings({ offsets });
+            if (auth.currentUser) EventReminders.sync(this.events);
+        });
+        reminderSettings.addEventListener('click', async (e) => {
+            if (!e.target.closest('[data-action="enable-notifications"]')) return;
+            await EventReminders.requestPermission();
+            EventReminders.renderSettings(reminderSettings);
+        });
+        container.querySelector('.calendar-import-input').addEventListener('change', async (e) => {
+            const [file] = e.target.files;
+            if (file) await this.importIcs(await file.text());
+            e.target.value = '';
+        });
+
+        this.load();
+    }
+
+    async load() {
+        const body = document.querySelector(`#${this.containerId} .calendar-body`);
+        if (!body || !this.dataService) return;
+
+        body.setAttribute('aria-busy', 'true');
+        if (this.events.length === 0) {
+            body.innerHTML = '<p class="calendar-status">Loading events...</p>';
+        }
+        try {
+            const events = (await this.dataService.fetchEvents()).map(event => EventCalendar.normalize(event));
+            const uids = new Set(events.map(event => ICalendar.eventUid(event)));
+            this.events = [...events, ...this.loadImported().filter(event => !uids.has(event.uid))];
+            // Logged out, every myStatus is empty; keep reminders until we know who this is
+            if (auth.currentUser) EventReminders.sync(this.events);
+            this.renderEvents();
+        } catch (error) {
+            console.error('Error loading events:', error);
+            body.innerHTML = `
+                <p class="calendar-status">Events could not be loaded.
+                    <button type="button" data-action="reload">Try again</button>
+                </p>
+            `;
+        } finally {
+            body.removeAttribute('aria-busy');
+        }
+    }
+
+    addEvent(event) {
+        this.events.push(EventCalendar.normalize(event));
+        this.renderEvents();
+    }
+
+    static normalize(event) {
+        return {
+            description: '',
+            location: '',
+            timezone: ServiceCatalog.defaultTimeZone,
+            capacity: 0,
+            registeredCount: 0,
+            waitlistCount: 0,
+            myStatus: null,
+            waitlistPosition: null,
+            ...event,
+            id: String(event.id),
+            start: new Date(event.start || event.date),
+            end: new Date(event.end || event.start || event.date)
+        };
+    }
+
+    loadImported() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.importedStorageKey) || '[]');
+            return Array.isArray(stored) ? stored.map(event => EventCalendar.normalize(event)) : [];
+        } catch (error) {
+            console.error('Error reading imported events:', error);
+            return [];
+        }
+    }
+
+    saveImported() {
+        const imported = this.events.filter(event => event.imported);
+        localStorage.setItem(this.importedStorageKey, JSON.stringify(imported));
+    }
+
+    // Partner calendars are merged by UID, see ICalendar.merge
+    async importIcs(text) {
+        const { events, errors } = ICalendar.parse(text);
+        if (errors.length > 0) showErrors(errors);
+
+        const { events: merged, added, updated, skipped } = ICalendar.merge(this.events, events);
+        this.events = merged.map(event => (event.imported ? EventCalendar.normalize(event) : event));
+
+        this.saveImported();
+        this.renderEvents();
+        const summary = [
+            `${added} event${added === 1 ? '' : 's'} added`,
+            updated > 0 ? `${updated} updated` : '',
+            skipped > 0 ? `${skipped} already in the calendar` : ''
+        ].filter(Boolean).join(', ');
+        accessibilityManager.announce(`Calendar imported: ${summary}.`);
+        return { added, updated, skipped, errors };
+    }
+
+    removeImported(eventId) {
+        this.events = this.events.filter(event => !(event.imported && event.id === String(eventId)));
+        this.saveImported();
+        this.renderEvents();
+    }
+
+    exportEvents(events, filename) {
+        if (events.length === 0) {
+            showError('There are no events to export.');
+            return;
+        }
+        const blob = new Blob([ICalendar.generate(events)], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    exportEvent(eventId) {
+        const event = this.getEvent(eventId);
+        if (!event) return;
+        const slug = event.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event';
+        this.exportEvents([event], `${slug}.ics`);
+    }
+
+    static startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    // Monday-first, as most Indian wall calendars are
+    static startOfWeek(date) {
+        const day = EventCalendar.startOfDay(date);
+        day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+        return day;
+    }
+
+    static addDays(date, days) {
+        const next = new Date(date);
+        next.setDate(next.getDate() + days);
+        return next;
+    }
+
+    // YYYY-MM-DD of an instant as seen in the given zone (or the browser's)
+    static dayKey(date, timeZone) {
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+        }).format(date);
+    }
+
+    static isPast(event, now = new Date()) {
+        return event.end < now;
+    }
+
+    formatEventTime(event) {
+        const date = new Intl.DateTimeFormat(TimeUtils.getLocale(), {
+            weekday: 'short', day: 'numeric', month: 'short', timeZone: event.timezone
+        }).format(event.start);
+        const time = new Intl.DateTimeFormat(TimeUtils.getLocale(), {
+            hour: 'numeric', minute: '2-digit', timeZone: event.timezone
+        });
+        const zone = new Intl.DateTimeFormat(TimeUtils.getLocale(), {
+            timeZone: event.timezone, timeZoneName: 'short'
+        }).formatToParts(event.start).find(part => part.type === 'timeZoneName')?.value || '';
+        return `${date}, ${time.format(event.start)}–${time.format(event.end)} ${zone}`.trim();
+    }
+
+    getVisibleEvents() {
+        const now = new Date();
+        return this.events
+            .filter(event => this.showPast || !EventCalendar.isPast(event, now))
+            .filter(event => !this.onlyMine || event.myStatus)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    getEvent(eventId) {
+        return this.events.find(event => event.id === String(eventId)) || null;
+    }
+
+    setView(view) {
+        if (!this.views.includes(view)) return;
+        this.view = view;
+        this.renderEvents();
+    }
+
+    step(direction) {
+        if (this.view === 'month') {
+            this.cursor = new Date(this.cursor.getFullYear(), this.cursor.getMonth() + direction, 1);
+        } else if (this.view === 'week') {
+            this.cursor = EventCalendar.addDays(this.cursor, direction * 7);
+        }
+        this.renderEvents();
+    }
+
+    renderEvents() {
+        const container = document.getElementById(this.containerId);
+        const body = container?.querySelector('.calendar-body');
+        if (!body) return;
+
+        container.querySelectorAll('[data-view]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.view === this.view));
+        });
+        container.querySelector('.calendar-mine').setAttribute('aria-pressed', String(this.onlyMine));
+        container.querySelector('.calendar-nav').hidden = this.view === 'list';
+
+        if (this.onlyMine && !auth.currentUser) {
+            body.innerHTML = `
+                <p class="calendar-status">
+                    <button type="button" data-auth="login">Log in</button> to see the events you have registered for.
+                </p>
+            `;
+            return;
+        }
+
+        const events = this.getVisibleEvents();
+        if (this.view === 'month') {
+            body.innerHTML = this.renderMonth(events);
+        } else if (this.view === 'week') {
+            body.innerHTML = this.renderWeek(events);
+        } else {
+            body.innerHTML = this.renderList(events);
+        }
+        this.renderDetails();
+    }
+
+    groupByDay(events) {
+        const days = new Map();
+        events.forEach(event => {
+            const key = EventCalendar.dayKey(event.start, event.timezone);
+            if (!days.has(key)) days.set(key, []);
+            days.get(key).push(event);
+        });
+        return days;
+    }
+
+    setPeriodLabel(label) {
+        const period = document.querySelector(`#${this.containerId} .calendar-period`);
+        if (period) period.textContent = label;
+    }
+
+    renderMonth(events) {
+        const monthStart = new Date(this.cursor.getFullYear(), this.cursor.getMonth(), 1);
+        const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
+        const gridStart = EventCalendar.startOfWeek(monthStart);
+        const weeks = Math.ceil((Math.round((monthEnd - gridStart) / 86400000) + 1) / 7);
+        const days = this.groupByDay(events);
+        const today = EventCalendar.dayKey(new Date());
+        const locale = TimeUtils.getLocale();
+
+        this.setPeriodLabel(monthStart.toLocaleDateString(locale, { month: 'long', year: 'numeric' }));
+        const weekdayNames = Array.from({ length: 7 }, (_, index) =>
+            EventCalendar.addDays(gridStart, index).toLocaleDateString(locale, { weekday: 'short' }));
+
+        const rows = Array.from({ length: weeks }, (_, week) => `
+            <tr>
+                ${Array.from({ length: 7 }, (_, index) => {
+                    const date = EventCalendar.addDays(gridStart, week * 7 + index);
+                    const key = EventCalendar.dayKey(date);
+                    const dayEvents = days.get(key) || [];
+                    const classes = [
+                        date.getMonth() !== monthStart.getMonth() ? 'other-month' : '',
+                        key === today ? 'today' : ''
+                    ].filter(Boolean).join(' ');
+                    return `
+                        <td class="${classes}">
+                            <span class="calendar-day-number">${date.getDate()}</span>
+                            ${dayEvents.map(event => `
+                                <button type="button" class="calendar-event ${event.myStatus || ''}" data-event-id="${escapeHtml(event.id)}">
+                                    ${escapeHtml(event.title)}
+                                </button>
+                            `).join('')}
+                        </td>
+                    `;
+                }).join('')}
+            </tr>
+        `).join('');
+
+        return `
+            <table class="calendar-month">
+                <caption class="sr-only">${escapeHtml(monthStart.toLocaleDateString(locale, { month: 'long', year: 'numeric' }))}</caption>
+                <thead><tr>${weekdayNames.map(name => `<th scope="col">${escapeHtml(name)}</th>`).join('')}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderWeek(events) {
+        const weekStart = EventCalendar.startOfWeek(this.cursor);
+        const days = this.groupByDay(events);
+        const today = EventCalendar.dayKey(new Date());
+        const locale = TimeUtils.getLocale();
+        const weekEnd = EventCalendar.addDays(weekStart, 6);
+
+        this.setPeriodLabel(`${TimeUtils.formatDate(weekStart)} – ${TimeUtils.formatDate(weekEnd)}`);
+        return `
+            <ol class="calendar-week">
+                ${Array.from({ length: 7 }, (_, index) => {
+                    const date = EventCalendar.addDays(weekStart, index);
+                    const key = EventCalendar.dayKey(date);
+                    const dayEvents = days.get(key) || [];
+                    return `
+                        <li class="${key === today ? 'today' : ''}">
+                            <h4>${escapeHtml(date.toLocaleDateString(locale, { weekday: 'long', day: 'numeric', month: 'short' }))}</h4>
+                            ${dayEvents.length === 0 ? '<p class="calendar-empty-day">No events</p>' : dayEvents.map(event => `
+                                <button type="button" class="calendar-event ${event.myStatus || ''}" data-event-id="${escapeHtml(event.id)}">
+                                    ${escapeHtml(event.title)}
+                                </button>
+                            `).join('')}
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+    }
+
+    renderList(events) {
+        this.setPeriodLabel('');
+        if (events.length === 0) {
+            return `<p class="calendar-status">${this.onlyMine
+                ? 'You haven\'t registered for any upcoming events yet.'
+                : 'No upcoming events. Check back soon.'}</p>`;
+        }
+        return `<div class="event-list">${events.map(event => this.renderEventCard(event)).join('')}</div>`;
+    }
+
+    renderCapacity(event) {
+        if (!event.capacity) return '';
+        const placesLeft = Math.max(0, event.capacity - event.registeredCount);
+        return placesLeft > 0
+            ? `<p class="event-capacity">${placesLeft} of ${event.capacity} places left</p>`
+            : `<p class="event-capacity full">Full · ${event.waitlistCount} on the waitlist</p>`;
+    }
+
+    renderEventActions(event) {
+        const title = escapeHtml(event.title);
+        const busy = this.busy.has(event.id) ? 'disabled' : '';
+
+        if (event.imported) {
+            return `
+                <p class="event-status">Added from an imported calendar.</p>
+                <button type="button" class="button-outline" data-action="remove-imported"
+                        aria-label="Remove ${title} from this calendar">Remove</button>
+            `;
+        }
+        if (EventCalendar.isPast(event)) {
+            return '<p class="event-status">This event has ended.</p>';
+        }
+        if (!auth.currentUser) {
+            return `<button type="button" data-auth="login">Log in to register</button>`;
+        }
+        if (event.myStatus === 'registered') {
+            return `
+                <p class="event-status registered">You're registered.</p>
+                <button type="button" class="button-outline" data-action="cancel-registration" ${busy}
+                        aria-label="Cancel registration for ${title}">Cancel registration</button>
+            `;
+        }
+        if (event.myStatus === 'waitlisted') {
+            return `
+                <p class="event-status waitlisted">You're number ${event.waitlistPosition} on the waitlist.</p>
+                <button type="button" class="button-outline" data-action="cancel-registration" ${busy}
+                        aria-label="Leave the waitlist for ${title}">Leave waitlist</button>
+            `;
+        }
+        const full = event.capacity && event.registeredCount >= event.capacity;
+        return `
+            <button type="button" data-action="register" ${busy}
+                    aria-label="${full ? 'Join the waitlist for' : 'Register for'} ${title}">
+                ${full ? 'Join waitlist' : 'Register'}
+            </button>
+        `;
+    }
+
+    renderEventCard(event) {
+        return `
+            <article class="event-card${EventCalendar.isPast(event) ? ' past' : ''}" data-event-card="${escapeHtml(event.id)}">
+                <h4>${escapeHtml(event.title)}</h4>
+                <p class="event-date">
+                    <time datetime="${event.start.toISOString()}">${escapeHtml(this.formatEventTime(event))}</time>
+                    (${TimeUtils.timeElement(event.start, 'event-relative-time')})
+                </p>
+                ${event.location ? `<p class="event-location">${escapeHtml(event.location)}</p>` : ''}
+                <p>${escapeHtml(event.description)}</p>
+                ${this.renderCapacity(event)}
+                <div class="event-actions">
+                    ${this.renderEventActions(event)}
+                    <button type="button" class="button-text" data-action="export-event"
+                            aria-label="Add ${escapeHtml(event.title)} to your calendar">Add to my calendar</button>
+                </div>
+            </article>
+        `;
+    }
+
+    showEvent(eventId) {
+        this.selectedId = String(eventId);
+        this.renderDetails();
+        document.querySelector(`#${this.containerId} .event-details h4`)?.setAttribute('tabindex', '-1');
+        document.querySelector(`#${this.containerId} .event-details h4`)?.focus();
+    }
+
+    // Month and week views show titles only; the chosen event opens below
+    renderDetails() {
+        const details = document.querySelector(`#${this.containerId} .event-details`);
+        if (!details) return;
+        const event = this.view === 'list' ? null : this.getEvent(this.selectedId);
+        details.innerHTML = event ? this.renderEventCard(event) : '';
+    }
+
+    updateEvent(updated) {
+        const event = EventCalendar.normalize(updated);
+        this.events = this.events.map(existing => existing.id === event.id ? event : existing);
+        return event;
+    }
+
+    async registerForEvent(eventId) {
+        if (!auth.currentUser) {
+            openAuthModal('login');
+            return;
+        }
+        const id = String(eventId);
+        // Asked while the click still counts as a user gesture
+        if (EventReminders.getSettings().offsets.length > 0) EventReminders.requestPermission();
+        this.busy.add(id);
+        this.renderEvents();
+        try {
+            const event = this.updateEvent(await this.dataService.registerForEvent(id));
+            EventReminders.sync(this.events);
+            accessibilityManager.announce(event.myStatus === 'registered'
+                ? `You're registered for ${event.title}.`
+                : `${event.title} is full. You're number ${event.waitlistPosition} on the waitlist.`);
+        } catch (error) {
+            console.error('Error registering for event:', error);
+            showError('Could not register for this event. Please try again.');
+        } finally {
+            this.busy.delete(id);
+            this.renderEvents();
+        }
+    }
+
+    async cancelRegistration(eventId) {
+        const id = String(eventId);
+        this.busy.add(id);
+        this.renderEvents();
+        try {
+            const event = this.updateEvent(await this.dataService.cancelEventRegistration(id));
+            EventReminders.sync(this.events);
+            accessibilityManager.announce(`Your place for ${event.title} has been cancelled.`);
+        } catch (error) {
+            console.error('Error cancelling event registration:', error);
+            showError('Could not cancel your registration. Please try again.');
+        } finally {
+            this.busy.delete(id);
+            this.renderEvents();
+        }
+    }
+}
+
+// Reminders for events the user has registered for. Each one is stored with
+// the time it should fire, so reminders survive reloads; any that came due
+// while the page was closed fire on the next visit if the event hasn't started.
+const EventReminders = {
+    storageKey: 'eventReminders',
+    settingsKey: 'eventReminderSettings',
+    // [minutes before the start, label]
+    options: [
+        [1440, '1 day before'],
+        [60, '1 hour before']
+    ],
+    // setTimeout can't wait longer than about 24.8 days
+    maxDelay: 2147483647,
+    timers: new Map(),
+    firing: new Set(),
+
+    getSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.settingsKey));
+            if (stored && Array.isArray(stored.offsets)) return stored;
+        } catch (error) {
+            console.error('Error reading reminder settings:', error);
+        }
+        return { offsets: [1440, 60] };
+    },
+
+    saveSettings(settings) {
+        localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+    },
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Error reading event reminders:', error);
+            return [];
+        }
+    },
+
+    save(reminders) {
+        localStorage.setItem(this.storageKey, JSON.stringify(reminders));
+    },
+
+    // Rebuilds reminders from the calendar's registered events, keeping the
+    // sent flag of reminders that already exist
+    sync(events) {
+        const existing = new Map(this.load().map(reminder => [reminder.id, reminder]));
+        const { offsets } = this.getSettings();
+        const reminders = [];
+
+        events
+            .filter(event => event.myStatus === 'registered' && event.start > new Date())
+            .forEach(event => {
+                offsets.forEach(offset => {
+                    const id = `${event.id}:${offset}`;
+                    const fireAt = new Date(event.start.getTime() - offset * 60000).toISOString();
+                    const previous = existing.get(id);
+                    reminders.push({
+                        id,
+                        eventId: event.id,
+                        title: event.title,
+                        location: event.location,
+                        start: event.start.toISOString(),
+                        offset,
+                        fireAt,
+                        // A moved event gets its reminder again; a new one that is
+                        // already due (registering an hour before) is skipped
+                        sent: previous
+                            ? Boolean(previous.sent && previous.fireAt === fireAt)
+                            : new Date(fireAt) <= new Date()
+                    });
+                });
+            });
+
+        this.save(reminders);
+        this.schedule();
+    },
+
+    clear() {
+        this.save([]);
+        this.schedule();
+    },
+
+    schedule() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+
+        const now = Date.now();
+        this.load()
+            .filter(reminder => !reminder.sent && new Date(reminder.start).getTime() > now)
+            .forEach(reminder => {
+                const delay = new Date(reminder.fireAt).getTime() - now;
+                if (delay <= 0) {
+                    this.fire(reminder);
+                } else {
+                    // Long waits are re-checked rather than fired early
+                    this.timers.set(reminder.id, setTimeout(
+                        () => (delay > this.maxDelay ? this.schedule() : this.fire(reminder)),
+                        Math.min(delay, this.maxDelay)
+                    ));
+                }
+            });
+    },
+
+    getMessage(reminder) {
+        const start = new Date(reminder.start);
+        return `${reminder.title} starts ${TimeUtils.formatRelative(start)}` +
+            `${reminder.location ? ` at ${reminder.location}` : ''}.`;
+    },
+
+    async fire(reminder) {
+        const stored = this.load().find(item => item.id === reminder.id);
+        if (!stored || stored.sent || this.firing.has(reminder.id)) return;
+        this.firing.add(reminder.id);
+        this.timers.delete(reminder.id);
+
+        const message = this.getMessage(reminder);
+        if (!(this.canNotify() && await this.showSystemNotification(reminder, message))) {
+            RealTimeUpdates.showNotification(message, { duration: 15000 });
+        }
+
+        // Marked only once shown, so a failed notification isn't silently lost
+        const reminders = this.load();
+        const current = reminders.find(item => item.id === reminder.id);
+        if (current) {
+            current.sent = true;
+            this.save(reminders);
+        }
+        this.firing.delete(reminder.id);
+    },
+
+    // Chrome for Android only shows notifications through the service worker;
+    // `new Notification` throws there even with permission
+    async showSystemNotification(reminder, message) {
+        const options = { body: message, tag: reminder.id, data: { eventId: reminder.eventId } };
+        try {
+            // Unlike serviceWorker.ready, this doesn't wait forever when no worker is registered
+            const registration = await navigator.serviceWorker?.getRegistration();
+            if (registration) {
+                await registration.showNotification('Event reminder', options);
+                return true;
+            }
+            const notification = new Notification('Event reminder', options);
+            notification.onclick = () => {
+                window.focus();
+                this.showEvent(reminder.eventId);
+                notification.close();
+            };
+            return true;
+        } catch (error) {
+            console.warn('Could not show a system notification:', error);
+            return false;
+        }
+    },
+
+    showEvent(eventId) {
+        if (typeof calendar !== 'undefined' && calendar) calendar.showEvent(eventId);
+    },
+
+    // Clicks on notifications shown by the service worker come back as messages
+    listen() {
+        navigator.serviceWorker?.addEventListener('message', (event) => {
+            if (event.data?.type === 'show-event') this.showEvent(event.data.eventId);
+        });
+    },
+
+    canNotify() {
+        return 'Notification' in window && Notification.permission === 'granted';
+    },
+
+    async requestPermission() {
+        if (!('Notification' in window) || Notification.permission !== 'default') {
+            return 'Notification' in window ? Notification.permission : 'unsupported';
+        }
+        try {
+            return await Notification.requestPermission();
+        } catch (error) {
+            console.error('Notification permission request failed:', error);
+            return 'default';
+        }
+    },
+
+    renderSettings(container) {
+        const { offsets } = this.getSettings();
+        const supported = 'Notification' in window;
+        const permission = supported ? Notification.permission : 'unsupported';
+        container.innerHTML = `
+            <fieldset>
+                <legend>Remind me about events I've registered for</legend>
+                ${this.options.map(([offset, label]) => `
+                    <label>
+                        <input type="checkbox" name="reminder-offset" value="${offset}" ${offsets.includes(offset) ? 'checked' : ''}>
+                        ${label}
+                    </label>
+                `).join('')}
+            </fieldset>
+            <p class="reminder-permission">
+                ${permission === 'granted' ? 'Reminders will appear as browser notifications.' : ''}
+                ${permission === 'default' ? `Reminders show on this page while it is open.
+                    <button type="button" data-action="enable-notifications">Use browser notifications</button>` : ''}
+                ${permission === 'denied' ? 'Browser notifications are blocked, so reminders show on this page while it is open.' : ''}
+                ${permission === 'unsupported' ? 'Reminders show on this page while it is open.' : ''}
+            </p>
+        `;
+    }
+};
+
+// Add real-time chat functionality
+// Reconnecting WebSocket shared by the support chat and the volunteer console
+class ChatConnection {
+    constructor(endpoint, handlers = {}) {
+        this.endpoint = endpoint;
+        // { open, message, close, status(status, retryIn) }
+        this.handlers = handlers;
+        this.socket = null;
+        this.status = 'offline';
+        this.shouldReconnect = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.reconnectBaseDelay = 1000;
+        this.reconnectMaxDelay = 30000;
+        window.addEventListener('online', () => {
+            if (this.shouldReconnect && !this.socket) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+                this.connect();
+            }
+        });
+    }
+
+    setStatus(status, retryIn = 0) {
+        this.status = status;
+        this.handlers.status?.(status, retryIn);
+    }
+
+    connect() {
+        if (this.socket) return;
+        this.shouldReconnect = true;
+        this.setStatus('connecting');
+
+        let socket;
+        try {
+            socket = new WebSocket(this.endpoint);
+        } catch (error) {
+            console.error('Chat connection failed:', error);
+            this.scheduleReconnect();
+            return;
+        }
+        this.socket = socket;
+        socket.onopen = () => {
+            this.reconnectAttempts = 0;
+            this.setStatus('online');
+            this.handlers.open?.();
+        };
+        socket.onmessage = event => this.handlers.message?.(event);
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.handlers.close?.();
+            if (this.shouldReconnect) {
+                this.scheduleReconnect();
+            } else {
+                this.setStatus('offline');
+            }
+        };
+        // onclose always follows, so reconnection is handled there
+        socket.onerror = () => {};
+    }
+
+    disconnect() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        const socket = this.socket;
+        this.socket = null;
+        socket?.close();
+        this.setStatus('offline');
+    }
+
+    // Doubles each attempt up to the cap, with jitter so clients don't reconnect in lockstep
+    getReconnectDelay() {
+        const ceiling = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * 2 ** this.reconnectAttempts);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+        const delay = this.getReconnectDelay();
+        this.reconnectAttempts++;
+        this.setStatus('reconnecting', delay);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    transmit(payload) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return false;
+        this.socket.send(JSON.stringify(payload));
+        return true;
+    }
+}
+
+class ChatSupport {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || ChatSupport.getEndpoint();
+        this.historyPrefix = 'chatHistory:';
+        this.routingPrefix = 'chatRouting:';
+        this.conversationKey = 'chatConversationId';
+        this.maxHistory = 200;
+        this.conversationId = localStorage.getItem(this.conversationKey) || this.startConversationId();
+        this.messages = this.loadHistory();
+        // { topic, language, status, position, volunteer } once the user has asked for a volunteer
+        this.routing = this.loadRouting();
+        this.connection = new ChatConnection(this.endpoint, {
+            open: () => this.handleOpen(),
+            message: event => this.handleMessage(event),
+            close: () => {
+                this.agentTyping = false;
+                this.renderTyping();
+            },
+            status: (status, retryIn) => this.setStatus(status, retryIn)
+        });
+        this.typingTimer = null;
+        this.isTyping = false;
+        this.agentTyping = false;
+        this.widget = null;
+    }
+
+    // <meta name="chat-endpoint"> points the widget at another server, e.g. a local stand-in
+    static getEndpoint() {
+        const configured = document.querySelector('meta[name="chat-endpoint"]')?.content;
+        if (configured) return configured;
+        return `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/chat`;
+    }
+
+    static createId(prefix) {
+        return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    startConversationId() {
+        const id = ChatSupport.createId('conversation');
+        localStorage.setItem(this.conversationKey, id);
+        return id;
+    }
+
+    loadHistory(conversationId = this.conversationId) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.historyPrefix + conversationId) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Error reading chat history:', error);
+            return [];
+        }
+    }
+
+    saveHistory() {
+        this.messages = this.messages.slice(-this.maxHistory);
+        localStorage.setItem(this.historyPrefix + this.conversationId, JSON.stringify(this.messages));
+    }
+
+    loadRouting() {
+        try {
+            return JSON.parse(localStorage.getItem(this.routingPrefix + this.conversationId)) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveRouting() {
+        localStorage.setItem(this.routingPrefix + this.conversationId, JSON.stringify(this.routing));
+        this.renderRouting();
+    }
+
+    initialize() {
+        this.mount();
+        // Messages written while offline, or a place in the queue, need the server straight away
+        if (this.messages.some(message => message.state === 'queued') ||
+            ['waiting', 'assigned'].includes(this.routing?.status)) {
+            this.connect();
+        }
+    }
 
-            // Add tile layer (OpenStreetMap)
-            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-                attribution: '© OpenStreetMap contributors',
-                maxZoom: 19
-            }).addTo(this.map);
+    connect() {
+        this.connection.connect();
+    }
 
-            // Initialize marker clustering
-            this.initializeMarkerClustering();
+    disconnect() {
+        this.connection.disconnect();
+    }
 
-            // Add search box
-            this.addSearchBox();
+    transmit(payload) {
+        return this.connection.transmit(payload);
+    }
 
-            // Add user location
-            await this.addUserLocation();
+    handleOpen() {
+        this.transmit({ type: 'hello', conversationId: this.conversationId });
+        this.flushQueue();
+        if (this.isOpen()) this.markRead();
+    }
 
-            // Load service locations
-            await this.loadServiceLocations();
+    sendMessage(text) {
+        const content = text.trim();
+        if (!content) return null;
+
+        const message = {
+            id: ChatSupport.createId('msg'),
+            conversationId: this.conversationId,
+            from: 'user',
+            text: content.slice(0, 2000),
+            sentAt: new Date().toISOString(),
+            state: 'queued'
+        };
+        this.messages.push(message);
+        if (this.transmitMessage(message)) {
+            message.state = 'sent';
+        } else {
+            this.connect();
+        }
+        this.stopTyping();
+        this.saveHistory();
+        this.renderMessages();
+        return message;
+    }
 
-            // Add zoom controls
-            this.map.zoomControl.setPosition('topright');
+    transmitMessage(message) {
+        return this.transmit({
+            type: 'message',
+            id: message.id,
+            conversationId: message.conversationId,
+            text: message.text,
+            sentAt: message.sentAt
+        });
+    }
 
-            // Add scale control
-            L.control.scale().addTo(this.map);
+    // Sent-but-unacknowledged messages go again too; the server ignores repeats by id
+    flushQueue() {
+        this.messages
+            .filter(message => message.from === 'user' && ['queued', 'sent'].includes(message.state))
+            .forEach(message => {
+                if (this.transmitMessage(message)) message.state = 'sent';
+            });
+        this.saveHistory();
+        this.renderMessages();
+    }
 
-        } catch (error) {
-            console.error('Error initializing map:', error);
-            this.showError('Failed to initialize map. Please try again.');
+    requestSupport(topic, language) {
+        this.routing = { topic, language, status: 'waiting', position: null, volunteer: null };
+        this.saveRouting();
+        // If we're offline the request goes out after the next welcome
+        if (!this.transmit({ type: 'request_support', conversationId: this.conversationId, topic, language })) {
+            this.connect();
         }
     }
 
-    async loadServiceLocations() {
-        const services = [
-            {
-                id: 1,
-                name: 'Mumbai Immigration Office',
-                location: [19.0760, 72.8777],
-                type: 'immigration',
-                description: 'Main immigration office providing documentation services and support.',
-                contact: '+91 22-2222-1111',
-                reviews: [
-                    {
-                        rating: 4,
-                        text: "Very helpful staff and clean facilities. The process was smooth.",
-                        author: "John D.",
-                        date: "2024-02-15",
-                        source: "Google Maps"
-                    },
-                    {
-                        rating: 5,
-                        text: "Excellent service. The officers were professional and efficient.",
-                        author: "Sarah M.",
-                        date: "2024-02-10",
-                        source: "Quora"
-                    }
-                ]
-            },
-            {
-                id: 2,
-                name: 'Delhi Migrant Community Center',
-                location: [28.6139, 77.2090],
-                type: 'community',
-                description: 'Community center offering housing assistance, job placement, and legal aid.',
-                contact: '+91 11-3333-4444',
-                reviews: [
-                    {
-                        rating: 5,
-                        text: "Great support for newcomers. They helped me find housing and work.",
-                        author: "Maria G.",
-                        date: "2024-02-12",
-                        source: "Google Maps"
-                    },
-                    {
-                        rating: 4,
-                        text: "Wonderful community events and networking opportunities.",
-                        author: "Alex P.",
-                        date: "2024-02-08",
-                        source: "Quora"
-                    }
-                ]
-            },
-            {
-                id: 3,
-                name: 'Bangalore Job Center',
-                location: [12.9716, 77.5946],
-                type: 'employment',
-                description: 'Specialized center for tech and IT sector job opportunities.',
-                contact: '+91 80-5555-6666',
-                reviews: [
-                    {
-                        rating: 4,
-                        text: "Found a great tech job through their placement program.",
-                        author: "David K.",
-                        date: "2024-02-14",
-                        source: "Google Maps"
-                    },
-                    {
-                        rating: 5,
-                        text: "Excellent career counseling and workshop sessions.",
-                        author: "Lisa R.",
-                        date: "2024-02-11",
-                        source: "Quora"
-                    }
-                ]
+    leaveQueue() {
+        this.transmit({ type: 'leave_queue', conversationId: this.conversationId });
+        if (this.routing) {
+            this.routing.status = 'closed';
+            this.saveRouting();
+        }
+    }
+
+    handleMessage(event) {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (error) {
+            console.error('Unreadable chat message:', error);
+            return;
+        }
+        if (data.conversationId && data.conversationId !== this.conversationId) return;
+
+        switch (data.type) {
+            case 'welcome': {
+                // Ask again if the request never arrived (made offline, possibly on a
+                // conversation the server has as closed) or the server has forgotten us
+                const status = this.routing?.status;
+                if ((status === 'waiting' && ['new', 'closed'].includes(data.status)) ||
+                    (status === 'assigned' && data.status === 'new')) {
+                    const { topic, language } = this.routing;
+                    this.transmit({ type: 'request_support', conversationId: this.conversationId, topic, language });
+                } else if (status === 'assigned' && data.status === 'closed') {
+                    // Ended while we were offline
+                    this.routing = { ...this.routing, status: 'closed' };
+                    this.saveRouting();
+                }
+                break;
             }
-        ];
+            case 'queue_position':
+                // A volunteer may have sent us back to the queue for another language
+                this.routing = {
+                    ...this.routing,
+                    status: 'waiting',
+                    position: data.position,
+                    topic: data.topic || this.routing?.topic,
+                    language: data.language || this.routing?.language
+                };
+                this.saveRouting();
+                break;
+            case 'assigned': {
+                // Also sent again after a reconnect, which shouldn't repeat the announcement
+                const isNew = this.routing?.status !== 'assigned' || this.routing.volunteer?.id !== data.volunteer.id;
+                this.routing = {
+                    ...this.routing,
+                    status: 'assigned',
+                    position: null,
+                    volunteer: data.volunteer,
+                    topic: data.topic || this.routing?.topic,
+                    language: data.language || this.routing?.language
+                };
+                this.saveRouting();
+                if (isNew) this.addSystemMessage(`You're now chatting with ${data.volunteer.name}.`);
+                break;
+            }
+            case 'transferred':
+                this.routing = data.to
+                    ? { ...this.routing, status: 'assigned', volunteer: data.to }
+                    : { ...this.routing, status: 'waiting', volunteer: null };
+                this.saveRouting();
+                this.addSystemMessage(data.to
+                    ? `${data.from.name} has passed your conversation to ${data.to.name}.`
+                    : `${data.from.name} has passed your conversation on. You'll be connected to the next available volunteer.`);
+                break;
+            case 'conversation_closed':
+                if (this.routing) {
+                    this.routing = { ...this.routing, status: 'closed', position: null };
+                    this.saveRouting();
+                }
+                if (data.by === 'volunteer') this.addSystemMessage('The volunteer has ended this conversation.');
+                break;
+            case 'ack':
+                this.updateState([data.id], 'delivered');
+                break;
+            case 'read':
+                this.updateState(data.messageIds || [], 'read');
+                break;
+            case 'typing':
+                this.agentTyping = Boolean(data.typing);
+                this.renderTyping();
+                break;
+            case 'message':
+                this.addMessageToUI(data);
+                break;
+            case 'error':
+                console.warn('Chat server error:', data.error);
+                break;
+        }
+    }
 
-        for (const service of services) {
-            await this.addServiceMarker(service);
-            this.reviews.set(service.id, service.reviews);
+    addMessageToUI(data) {
+        if (this.messages.some(message => message.id === data.id)) return;
+        this.messages.push({
+            id: data.id,
+            conversationId: this.conversationId,
+            from: data.from || 'agent',
+            author: data.author || 'Volunteer',
+            text: String(data.text || ''),
+            sentAt: data.sentAt || new Date().toISOString(),
+            readAt: null
+        });
+        this.agentTyping = false;
+        this.saveHistory();
+        this.renderMessages();
+        this.renderTyping();
+        if (this.isOpen()) {
+            this.markRead();
+        } else {
+            this.renderUnread();
         }
     }
 
-    async addServiceMarker(service) {
-        try {
-            const icon = this.getCustomIcon(service.type);
-            const marker = L.marker(service.location, { icon })
-                .bindPopup(this.createServicePopup(service))
-                .addTo(this.map);
+    addSystemMessage(text) {
+        this.messages.push({
+            id: ChatSupport.createId('system'),
+            conversationId: this.conversationId,
+            from: 'system',
+            text,
+            sentAt: new Date().toISOString()
+        });
+        this.saveHistory();
+        this.renderMessages();
+    }
 
-            this.markers.set(service.id, marker);
-            if (this.markerCluster) {
-                this.markerCluster.addLayer(marker);
+    // States only move forward: queued → sent → delivered → read
+    updateState(ids, state) {
+        const order = ChatSupport.messageStates;
+        let changed = false;
+        this.messages.forEach(message => {
+            if (message.from === 'user' && ids.includes(message.id) &&
+                order.indexOf(state) > order.indexOf(message.state)) {
+                message.state = state;
+                changed = true;
             }
-        } catch (error) {
-            console.error('Error adding service marker:', error);
+        });
+        if (changed) {
+            this.saveHistory();
+            this.renderMessages();
         }
     }
 
-    createServicePopup(service) {
-        const avgRating = this.calculateAverageRating(service.reviews);
-        const stars = this.createRatingStars(avgRating);
-        
-        const recentReviews = service.reviews
-            .sort((a, b) => new Date(b.date) - new Date(a.date))
-            .slice(0, 2)
-            .map(review => `
-                <div class="review">
-                    <div class="review-header">
-                        <span class="review-source">${review.source}</span>
-                        <span class="review-date">${this.formatDate(review.date)}</span>
-                    </div>
-                    <div class="review-rating">${this.createRatingStars(review.rating)}</div>
-                    <p class="review-text">${review.text}</p>
-                    <span class="review-author">- ${review.author}</span>
-                </div>
-            `).join('');
-
-        return `
-            <div class="service-popup">
-                <h3>${service.name}</h3>
-                <p>${service.description}</p>
-                <div class="rating">
-                    ${stars}
-                    <span>(${avgRating.toFixed(1)})</span>
-                </div>
-                <div class="reviews">
-                    <h4>Recent Reviews</h4>
-                    ${recentReviews}
-                </div>
-                <p><strong>Contact:</strong> ${service.contact}</p>
-                <button class="service-details-btn" onclick="window.open('https://maps.google.com/?q=${service.location[0]},${service.location[1]}')">
-                    Get Directions
-                </button>
-            </div>
-        `;
+    markRead() {
+        const unread = this.messages.filter(message => message.from === 'agent' && !message.readAt);
+        if (unread.length === 0) return;
+        if (!this.transmit({ type: 'read', conversationId: this.conversationId, messageIds: unread.map(message => message.id) })) return;
+        const now = new Date().toISOString();
+        unread.forEach(message => { message.readAt = now; });
+        this.saveHistory();
+        this.renderUnread();
     }
 
-    calculateAverageRating(reviews) {
-        if (!reviews || reviews.length === 0) return 0;
-        return reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length;
+    handleTyping() {
+        if (!this.isTyping) {
+            this.isTyping = this.transmit({ type: 'typing', conversationId: this.conversationId, typing: true });
+        }
+        clearTimeout(this.typingTimer);
+        this.typingTimer = setTimeout(() => this.stopTyping(), 3000);
     }
 
-    createRatingStars(rating) {
-        const fullStars = Math.floor(rating);
-        const hasHalfStar = rating % 1 >= 0.5;
-        const emptyStars = 5 - fullStars - (hasHalfStar ? 1 : 0);
-        
-        return `
-            ${'★'.repeat(fullStars)}
-            ${hasHalfStar ? '½' : ''}
-            ${'☆'.repeat(emptyStars)}
-        `;
+    stopTyping() {
+        clearTimeout(this.typingTimer);
+        if (!this.isTyping) return;
+        this.isTyping = false;
+        this.transmit({ type: 'typing', conversationId: this.conversationId, typing: false });
     }
 
-    formatDate(dateString) {
-        const options = { year: 'numeric', month: 'short', day: 'numeric' };
-        return new Date(dateString).toLocaleDateString(undefined, options);
+    startNewConversation() {
+        this.stopTyping();
+        if (['waiting', 'assigned'].includes(this.routing?.status)) this.leaveQueue();
+        this.conversationId = this.startConversationId();
+        this.messages = [];
+        this.routing = null;
+        this.agentTyping = false;
+        this.transmit({ type: 'hello', conversationId: this.conversationId });
+        this.renderMessages();
+        this.renderRouting();
+        this.renderTyping();
+        this.widget?.querySelector('.chat-composer textarea').focus();
     }
 
-    getCustomIcon(type) {
-        const iconUrl = {
-            immigration: 'path/to/immigration-icon.png',
-            community: 'path/to/community-icon.png',
-            employment: 'path/to/employment-icon.png'
-        }[type] || 'path/to/default-icon.png';
+    isOpen() {
+        return Boolean(this.widget) && !this.widget.querySelector('.chat-widget').hidden;
+    }
 
-        return L.icon({
-            iconUrl,
-            iconSize: [25, 25],
-            iconAnchor: [12, 12],
-            popupAnchor: [0, -12]
-        });
+    open() {
+        this.widget.querySelector('.chat-widget').hidden = false;
+        this.widget.querySelector('.chat-toggle').setAttribute('aria-expanded', 'true');
+        this.connect();
+        this.renderMessages();
+        this.markRead();
+        this.widget.querySelector('.chat-composer textarea').focus();
     }
 
-    async addUserLocation() {
-        try {
-            const position = await new Promise((resolve, reject) => {
-                navigator.geolocation.getCurrentPosition(resolve, reject);
-            });
+    close() {
+        this.widget.querySelector('.chat-widget').hidden = true;
+        const toggle = this.widget.querySelector('.chat-toggle');
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.focus();
+    }
 
-            const { latitude, longitude } = position.coords;
-            
-            if (this.userMarker) {
-                this.map.removeLayer(this.userMarker);
+    mount() {
+        if (this.widget) return;
+        this.widget = document.createElement('div');
+        this.widget.className = 'chat-support';
+        this.widget.innerHTML = `
+            <button type="button" class="chat-toggle" aria-expanded="false" aria-controls="chat-widget">
+                Chat with us <span class="chat-unread" hidden></span>
+            </button>
+            <section id="chat-widget" class="chat-widget" role="dialog" aria-labelledby="chat-title" hidden>
+                <header class="chat-header">
+                    <h2 id="chat-title">Support chat</h2>
+                    <span class="chat-status" role="status"></span>
+                    <button type="button" class="button-text" data-action="new-conversation">New conversation</button>
+                    <button type="button" class="chat-close" data-action="close-chat" aria-label="Close chat">✕</button>
+                </header>
+                <div class="chat-routing" aria-live="polite"></div>
+                <ol class="chat-messages" role="log" aria-live="polite" aria-label="Messages"></ol>
+                <p class="chat-typing" aria-live="polite" hidden>Volunteer is typing…</p>
+                <form class="chat-composer">
+                    <label for="chat-input" class="sr-only">Your message</label>
+                    <textarea id="chat-input" rows="2" maxlength="2000" placeholder="Type your message"></textarea>
+                    <button type="submit">Send</button>
+                </form>
+            </section>
+        `;
+        document.body.appendChild(this.widget);
+
+        const input = this.widget.querySelector('.chat-composer textarea');
+        this.widget.querySelector('.chat-toggle').addEventListener('click', () => (this.isOpen() ? this.close() : this.open()));
+        this.widget.querySelector('[data-action="close-chat"]').addEventListener('click', () => this.close());
+        this.widget.querySelector('[data-action="new-conversation"]').addEventListener('click', () => this.startNewConversation());
+        this.widget.querySelector('.chat-composer').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.sendMessage(input.value)) input.value = '';
+        });
+        input.addEventListener('input', () => this.handleTyping());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.widget.querySelector('.chat-composer').requestSubmit();
             }
+        });
+        this.widget.querySelector('.chat-widget').addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
 
-            this.userMarker = L.marker([latitude, longitude], {
-                icon: L.divIcon({
-                    className: 'user-location-marker',
-                    html: '📍',
-                    iconSize: [25, 25],
-                    iconAnchor: [12, 12]
-                })
-            }).addTo(this.map);
+        const routing = this.widget.querySelector('.chat-routing');
+        routing.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.requestSupport(e.target.elements.topic.value, e.target.elements.language.value);
+        });
+        routing.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="leave-queue"]')) this.leaveQueue();
+        });
 
-            this.map.setView([latitude, longitude], 12);
-        } catch (error) {
-            console.error('Error getting user location:', error);
-            // Don't show error - user might have denied location access
+        this.setStatus(this.connection.status);
+        this.renderRouting();
+        this.renderMessages();
+        this.renderUnread();
+    }
+
+    setStatus(status, retryIn = 0) {
+        const element = this.widget?.querySelector('.chat-status');
+        if (!element) return;
+        const labels = {
+            connecting: 'Connecting…',
+            online: 'Connected',
+            reconnecting: `Offline, retrying in ${Math.ceil(retryIn / 1000)}s`,
+            offline: 'Offline'
+        };
+        element.textContent = labels[status];
+        element.className = `chat-status ${status}`;
+    }
+
+    renderRouting() {
+        const container = this.widget?.querySelector('.chat-routing');
+        if (!container) return;
+
+        const routing = this.routing;
+        const topic = ChatSupport.topics[routing?.topic];
+        // Default to the language the site is being read in
+        const language = routing?.language || document.documentElement.lang || 'en';
+        const languageName = ChatSupport.getLanguageName(language);
+        if (routing?.status === 'waiting') {
+            container.innerHTML = `
+                <p>Waiting for a volunteer who speaks ${escapeHtml(languageName)} · ${escapeHtml(topic)}.
+                    ${routing.position ? `You're number ${routing.position} in the queue.` : ''}</p>
+                <button type="button" class="button-text" data-action="leave-queue">Leave the queue</button>
+            `;
+        } else if (routing?.status === 'assigned') {
+            container.innerHTML = `
+                <p>Chatting with ${escapeHtml(routing.volunteer?.name || 'a volunteer')} · ${escapeHtml(topic)} · ${escapeHtml(languageName)}</p>
+                <button type="button" class="button-text" data-action="leave-queue">End chat</button>
+            `;
+        } else {
+            container.innerHTML = `
+                <form class="chat-request">
+                    <label>What do you need help with?
+                        <select name="topic">
+                            ${Object.entries(ChatSupport.topics).map(([value, label]) =>
+                                `<option value="${value}" ${routing?.topic === value ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Language
+                        <select name="language">
+                            ${Object.entries(supportedLanguages).map(([code, label]) =>
+                                `<option value="${code}" ${language === code ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <button type="submit">Talk to a volunteer</button>
+                </form>
+            `;
         }
     }
 
-    addSearchBox() {
-        const searchControl = L.control({ position: 'topleft' });
+    renderMessages() {
+        const list = this.widget?.querySelector('.chat-messages');
+        if (!list) return;
+
+        list.innerHTML = this.messages.length === 0
+            ? '<li class="chat-empty">Ask us anything about housing, work, health or legal help. A volunteer will reply here.</li>'
+            : this.messages.map(message => (message.from === 'system'
+                ? `<li class="chat-message system">${escapeHtml(message.text)}</li>`
+                : `
+                <li class="chat-message ${message.from === 'user' ? 'own' : 'incoming'}">
+                    ${message.from === 'user' ? '' : `<span class="chat-author">${escapeHtml(message.author || 'Volunteer')}</span>`}
+                    <p>${escapeHtml(message.text)}</p>
+                    <span class="chat-meta">
+                        ${TimeUtils.timeElement(message.sentAt, 'chat-time')}
+                        ${message.from === 'user' ? `<span class="chat-state ${message.state}">${ChatSupport.stateLabels[message.state]}</span>` : ''}
+                    </span>
+                </li>
+            `)).join('');
+        list.scrollTop = list.scrollHeight;
+    }
 
-        searchControl.onAdd = () => {
-            const container = L.DomUtil.create('div', 'leaflet-control-search');
-            const input = L.DomUtil.create('input', 'search-input', container);
-            
-            input.type = 'text';
-            input.placeholder = 'Search for services...';
-            
-            L.DomEvent.disableClickPropagation(container);
-            
-            input.addEventListener('input', (e) => {
-                this.handleSearch(e.target.value);
-            });
-            
-            return container;
-        };
+    renderTyping() {
+        const indicator = this.widget?.querySelector('.chat-typing');
+        if (indicator) indicator.hidden = !this.agentTyping;
+    }
 
-        searchControl.addTo(this.map);
+    renderUnread() {
+        const badge = this.widget?.querySelector('.chat-unread');
+        if (!badge) return;
+        const count = this.messages.filter(message => message.from === 'agent' && !message.readAt).length;
+        badge.hidden = count === 0;
+        badge.textContent = count;
+        badge.setAttribute('aria-label', `${count} unread`);
     }
 
-    handleSearch(query) {
-        query = query.toLowerCase();
-        
-        this.markers.forEach((marker, id) => {
-            const service = this.getServiceById(id);
-            if (service.name.toLowerCase().includes(query) || 
-                service.description.toLowerCase().includes(query)) {
-                marker.setOpacity(1);
-            } else {
-                marker.setOpacity(0.3);
+    static getLanguageName(code) {
+        return supportedLanguages[code] || code;
+    }
+}
+
+ChatSupport.messageStates = ['queued', 'sent', 'delivered', 'read'];
+ChatSupport.stateLabels = {
+    queued: 'Waiting to send',
+    sent: 'Sent',
+    delivered: 'Delivered',
+    read: 'Read'
+};
+ChatSupport.topics = {
+    legal: 'Legal help',
+    housing: 'Housing',
+    health: 'Health',
+    jobs: 'Jobs and work'
+};
+
+// Lets volunteers take waiting people from the support chat queue
+class VolunteerConsole {
+    constructor(options = {}) {
+        this.containerId = options.containerId || 'volunteer-console';
+        this.settingsKey = 'volunteerSettings';
+        this.settings = this.loadSettings();
+        this.connection = new ChatConnection(options.endpoint || ChatSupport.getEndpoint(), {
+            open: () => this.sayHello(),
+            message: event => this.handleMessage(event),
+            status: (status, retryIn) => this.renderStatus(status, retryIn)
+        });
+        this.volunteer = null;
+        this.waiting = [];
+        this.volunteers = [];
+        // conversationId -> { id, topic, language, transferredFrom, messages, unread, userTyping }
+        this.conversations = new Map();
+        this.activeId = null;
+        this.typingTimer = null;
+        this.isTyping = false;
+        this.error = '';
+    }
+
+    get panel() {
+        return document.getElementById(this.containerId);
+    }
+
+    loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.settingsKey));
+            if (stored && Array.isArray(stored.languages)) return stored;
+        } catch (error) {
+            console.error('Error reading volunteer settings:', error);
+        }
+        return { languages: [document.documentElement.lang || 'en'], available: true };
+    }
+
+    saveSettings() {
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    init() {
+        const panel = this.panel;
+        if (!panel) return;
+
+        panel.querySelector('.volunteer-settings').addEventListener('change', (e) => {
+            if (e.target.name === 'available') {
+                this.setAvailability(e.target.checked);
+            } else if (e.target.name === 'language') {
+                this.setLanguages([...panel.querySelectorAll('input[name="language"]:checked')].map(input => input.value));
+            }
+        });
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const { action, conversationId } = button.dataset;
+            if (action === 'accept') this.accept(conversationId);
+            if (action === 'open-conversation') this.openConversation(conversationId);
+            if (action === 'close-conversation') this.closeConversation();
+        });
+        panel.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (e.target.matches('.volunteer-composer')) {
+                const input = e.target.elements.message;
+                if (this.sendMessage(input.value)) input.value = '';
+            } else if (e.target.matches('.volunteer-transfer')) {
+                const { to, language } = e.target.elements;
+                this.transfer(to.value || null, language.value);
+            }
+        });
+        panel.addEventListener('input', (e) => {
+            if (e.target.matches('.volunteer-composer textarea')) this.handleTyping();
+        });
+        panel.addEventListener('change', (e) => {
+            if (e.target.matches('.volunteer-transfer select[name="to"]')) {
+                e.target.form.elements.language.disabled = Boolean(e.target.value);
             }
         });
+
+        // A token refresh keeps the same account, so the connection can stay
+        auth.subscribe(({ type }) => {
+            if (type !== 'refresh') this.render();
+        });
+        this.render();
     }
 
-    getServiceById(id) {
-        // This should be implemented to return service data by ID
-        // For now, returning a dummy service
-        return {
-            name: 'Service',
-            description: 'Description'
-        };
+    render() {
+        const panel = this.panel;
+        if (!panel) return;
+
+        panel.hidden = !auth.isVolunteer();
+        if (panel.hidden) {
+            this.connection.disconnect();
+            this.volunteer = null;
+            this.waiting = [];
+            this.volunteers = [];
+            this.conversations.clear();
+            this.activeId = null;
+            return;
+        }
+
+        this.renderSettings();
+        this.renderQueue();
+        this.renderConversations();
+        this.renderConversation();
+        this.connection.connect();
     }
 
-    showError(message) {
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-message';
-        errorDiv.textContent = message;
-        
-        document.body.appendChild(errorDiv);
-        
-        setTimeout(() => {
-            errorDiv.remove();
-        }, 5000);
+    sayHello() {
+        this.error = '';
+        this.connection.transmit({
+            type: 'volunteer_hello',
+            token: localStorage.getItem('authToken'),
+            languages: this.settings.languages,
+            available: this.settings.available
+        });
     }
 
-    initializeMarkerClustering() {
-        if (!this.markerCluster) {
-            this.markerCluster = L.markerClusterGroup({
-                maxClusterRadius: 50,
-                spiderfyOnMaxZoom: true,
-                showCoverageOnHover: false,
-                zoomToBoundsOnClick: true
-            });
-            
-            this.map.addLayer(this.markerCluster);
+    setLanguages(languages) {
+        this.settings.languages = languages;
+        this.saveSettings();
+        if (languages.length === 0) {
+            this.renderStatus(this.connection.status, 0, 'Choose at least one language to receive people.');
+            return;
         }
+        // volunteer_hello can be repeated to update languages
+        this.sayHello();
     }
-}
 
-// Initialize map when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    const mapService = new MapService('map-container');
-    mapService.init();
-});
+    setAvailability(available) {
+        this.settings.available = available;
+        this.saveSettings();
+        this.connection.transmit({ type: 'availability', available });
+    }
 
-// Add after existing utility functions
-const supportedLanguages = {
-    en: 'English',
-    es: 'Español',
-    fr: 'Français',
-    ar: 'العربية'
-};
+    handleMessage(event) {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (error) {
+            console.error('Unreadable chat message:', error);
+            return;
+        }
+        const current = this.conversations.get(data.conversationId);
 
-function changeLanguage(lang) {
-    document.documentElement.lang = lang;
-    // Fetch and apply translations
-    fetch(`/translations/${lang}.json`)
-        .then(response => response.json())
-        .then(translations => {
-            document.querySelectorAll('[data-translate]').forEach(element => {
-                const key = element.getAttribute('data-translate');
-                if (translations[key]) {
-                    element.textContent = translations[key];
+        switch (data.type) {
+            case 'volunteer_welcome':
+                this.volunteer = data.volunteer;
+                this.renderStatus(this.connection.status);
+                break;
+            case 'queue_snapshot':
+                this.waiting = data.waiting;
+                this.volunteers = data.volunteers;
+                this.renderQueue();
+                this.renderTransferOptions();
+                break;
+            case 'assigned':
+                this.addConversation(data);
+                break;
+            case 'conversation_closed':
+                this.removeConversation(data.conversationId, data.by);
+                break;
+            case 'message':
+                if (current) this.addMessage(current, data);
+                break;
+            case 'typing':
+                if (current) {
+                    current.userTyping = Boolean(data.typing);
+                    if (current.id === this.activeId) this.renderTyping();
                 }
-            });
+                break;
+            case 'ack':
+                if (current) this.updateState(current, [data.id], 'delivered');
+                break;
+            case 'read':
+                if (current) this.updateState(current, data.messageIds || [], 'read');
+                break;
+            case 'error':
+                this.error = data.error;
+                this.renderStatus(this.connection.status);
+                break;
+        }
+    }
+
+    // Also sent again for every open conversation after a reconnect
+    addConversation(data) {
+        const existing = this.conversations.get(data.conversationId);
+        const messages = existing ? existing.messages : [];
+        (data.history || []).forEach(message => {
+            if (!messages.some(known => known.id === message.id)) {
+                messages.push({ ...message, state: message.from === 'agent' ? 'delivered' : undefined });
+            }
         });
-}
+        this.conversations.set(data.conversationId, {
+            id: data.conversationId,
+            topic: data.topic,
+            language: data.language,
+            transferredFrom: data.transferredFrom,
+            messages,
+            unread: existing ? existing.unread : messages.filter(message => message.from === 'user').length,
+            userTyping: false
+        });
+        if (!existing) {
+            accessibilityManager.announce(`New conversation: ${ChatSupport.topics[data.topic] || data.topic}`);
+        }
+        if (!this.activeId) {
+            this.openConversation(data.conversationId);
+        } else {
+            this.renderConversations();
+        }
+    }
 
-// Add after existing code
-class UserAuth {
-    constructor() {
-        this.currentUser = null;
+    removeConversation(conversationId, by) {
+        if (!this.conversations.delete(conversationId)) return;
+        if (by === 'user') accessibilityManager.announce('The person you were helping has left the chat.');
+        if (this.activeId === conversationId) {
+            this.stopTyping();
+            this.activeId = this.conversations.keys().next().value || null;
+            this.renderConversation();
+            this.markRead();
+        }
+        this.renderConversations();
     }
 
-    async login(email, password) {
-        try {
-            // Implement actual authentication logic here
-            const response = await fetch('/api/login', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ email, password })
-            });
-            
-            if (response.ok) {
-                this.currentUser = await response.json();
-                this.updateUI();
-                return true;
+    addMessage(current, data) {
+        if (current.messages.some(message => message.id === data.id)) return;
+        current.messages.push({ id: data.id, from: 'user', text: String(data.text || ''), sentAt: data.sentAt });
+        current.userTyping = false;
+        current.unread++;
+        if (current.id === this.activeId) {
+            this.renderMessages();
+            this.renderTyping();
+            this.markRead();
+        }
+        this.renderConversations();
+    }
+
+    // States only move forward, as in ChatSupport
+    updateState(current, ids, state) {
+        const order = ChatSupport.messageStates;
+        current.messages.forEach(message => {
+            if (message.from === 'agent' && ids.includes(message.id) &&
+                order.indexOf(state) > order.indexOf(message.state)) {
+                message.state = state;
             }
-            return false;
-        } catch (error) {
-            console.error('Login failed:', error);
-            return false;
+        });
+        if (current.id === this.activeId) this.renderMessages();
+    }
+
+    accept(conversationId) {
+        this.connection.transmit({ type: 'accept', conversationId });
+    }
+
+    openConversation(conversationId) {
+        this.stopTyping();
+        this.activeId = conversationId;
+        this.renderConversation();
+        this.renderConversations();
+        this.markRead();
+    }
+
+    markRead() {
+        const current = this.conversations.get(this.activeId);
+        if (!current || current.unread === 0) return;
+        const ids = current.messages.filter(message => message.from === 'user').slice(-current.unread).map(message => message.id);
+        if (this.connection.transmit({ type: 'read', conversationId: current.id, messageIds: ids })) {
+            current.unread = 0;
+            this.renderConversations();
         }
     }
 
-    updateUI() {
-        const authSection = document.querySelector('.auth-section');
-        if (this.currentUser) {
-            authSection.innerHTML = `
-                <span>Welcome, ${escapeHtml(this.currentUser.name)}</span>
-                <button onclick="auth.logout()">Logout</button>
-            `;
+    sendMessage(text) {
+        const current = this.conversations.get(this.activeId);
+        const content = text.trim();
+        if (!current || !content) return null;
+
+        const message = {
+            id: ChatSupport.createId('msg'),
+            from: 'agent',
+            author: this.volunteer?.name,
+            text: content.slice(0, 2000),
+            sentAt: new Date().toISOString(),
+            state: 'queued'
+        };
+        const sent = this.connection.transmit({
+            type: 'message',
+            conversationId: current.id,
+            id: message.id,
+            text: message.text,
+            sentAt: message.sentAt
+        });
+        if (!sent) {
+            showError('You are offline. Your message was not sent.');
+            return null;
         }
+        message.state = 'sent';
+        current.messages.push(message);
+        this.stopTyping();
+        this.renderMessages();
+        return message;
     }
-}
 
-const auth = new UserAuth();
+    // toVolunteerId null sends the person back to the front of the queue
+    transfer(toVolunteerId, language) {
+        const current = this.conversations.get(this.activeId);
+        if (!current) return;
+        this.stopTyping();
+        this.connection.transmit({
+            type: 'transfer',
+            conversationId: current.id,
+            ...(toVolunteerId ? { toVolunteerId } : { language: language || current.language })
+        });
+    }
 
-// Add new calendar functionality
-class EventCalendar {
-    constructor() {
-        this.events = [];
+    closeConversation() {
+        const current = this.conversations.get(this.activeId);
+        if (!current) return;
+        this.stopTyping();
+        this.connection.transmit({ type: 'close_conversation', conversationId: current.id });
     }
 
-    addEvent(event) {
-        this.events.push(event);
-        this.renderEvents();
+    handleTyping() {
+        if (!this.activeId) return;
+        if (!this.isTyping) {
+            this.isTyping = this.connection.transmit({ type: 'typing', conversationId: this.activeId, typing: true });
+        }
+        clearTimeout(this.typingTimer);
+        this.typingTimer = setTimeout(() => this.stopTyping(), 3000);
     }
 
-    renderEvents() {
-        const calendarEl = document.getElementById('calendar');
-        const events = this.events.map(event => `
-            <article class="event-card">
-                <h4>${escapeHtml(event.title)}</h4>
-                <time datetime="${event.date}">${new Date(event.date).toLocaleDateString()}</time>
-                <p>${escapeHtml(event.description)}</p>
-                <button onclick="calendar.registerForEvent('${event.id}')" 
-                        aria-label="Register for ${escapeHtml(event.title)}">
-                    Register
-                </button>
-            </article>
+    stopTyping() {
+        clearTimeout(this.typingTimer);
+        if (!this.isTyping) return;
+        this.isTyping = false;
+        this.connection.transmit({ type: 'typing', conversationId: this.activeId, typing: false });
+    }
+
+    renderStatus(status, retryIn = 0, message = this.error) {
+        const element = this.panel?.querySelector('.volunteer-status');
+        if (!element) return;
+        const labels = {
+            connecting: 'Connecting…',
+            online: this.volunteer ? `Signed in to chat as ${this.volunteer.name}` : 'Connected',
+            reconnecting: `Offline, retrying in ${Math.ceil(retryIn / 1000)}s`,
+            offline: 'Offline'
+        };
+        element.textContent = message || labels[status];
+        element.classList.toggle('error', Boolean(message));
+    }
+
+    renderSettings() {
+        const form = this.panel?.querySelector('.volunteer-settings');
+        if (!form) return;
+        form.querySelector('.volunteer-languages').innerHTML = Object.entries(supportedLanguages).map(([code, label]) => `
+            <label><input type="checkbox" name="language" value="${code}" ${this.settings.languages.includes(code) ? 'checked' : ''}> ${label}</label>
         `).join('');
-        calendarEl.innerHTML = events;
+        form.elements.available.checked = this.settings.available;
     }
-}
 
-// Add real-time chat functionality
-class ChatSupport {
-    constructor() {
-        this.messages = [];
-        this.socket = null;
+    renderQueue() {
+        const list = this.panel?.querySelector('.volunteer-waiting');
+        if (!list) return;
+
+        list.innerHTML = this.waiting.length === 0
+            ? '<li class="volunteer-empty">Nobody is waiting.</li>'
+            : this.waiting.map(person => {
+                const id = escapeHtml(person.conversationId);
+                return `
+                    <li class="volunteer-waiting-item">
+                        <span>${escapeHtml(ChatSupport.topics[person.topic] || person.topic)} · ${escapeHtml(ChatSupport.getLanguageName(person.language))}</span>
+                        <span>waiting since ${TimeUtils.timeElement(person.waitingSince, 'waiting-since')}</span>
+                        <button type="button" data-action="accept" data-conversation-id="${id}">Take</button>
+                    </li>
+                `;
+            }).join('');
     }
 
-    initialize() {
-        // Initialize WebSocket connection
-        this.socket = new WebSocket('wss://your-websocket-server');
-        this.socket.onmessage = this.handleMessage.bind(this);
+    renderConversations() {
+        const list = this.panel?.querySelector('.volunteer-conversations');
+        if (!list) return;
+
+        const conversations = [...this.conversations.values()];
+        list.innerHTML = conversations.length === 0
+            ? '<li class="volunteer-empty">No open conversations.</li>'
+            : conversations.map(current => `
+                <li>
+                    <button type="button" data-action="open-conversation" data-conversation-id="${escapeHtml(current.id)}"
+                        ${current.id === this.activeId ? 'aria-current="true"' : ''}>
+                        ${escapeHtml(ChatSupport.topics[current.topic] || current.topic)} · ${escapeHtml(ChatSupport.getLanguageName(current.language))}
+                        ${current.unread ? `<span class="chat-unread">${current.unread}</span>` : ''}
+                    </button>
+                </li>
+            `).join('');
     }
 
-    sendMessage(message) {
-        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-            this.socket.send(JSON.stringify({
-                type: 'message',
-                content: message,
-                timestamp: new Date().toISOString()
-            }));
+    renderConversation() {
+        const pane = this.panel?.querySelector('.volunteer-conversation');
+        if (!pane) return;
+
+        const current = this.conversations.get(this.activeId);
+        if (!current) {
+            pane.innerHTML = '<p class="volunteer-empty">Take someone from the queue to start chatting.</p>';
+            return;
         }
+        pane.innerHTML = `
+            <header class="volunteer-conversation-header">
+                <h3>${escapeHtml(ChatSupport.topics[current.topic] || current.topic)} · ${escapeHtml(ChatSupport.getLanguageName(current.language))}</h3>
+                ${current.transferredFrom ? `<p>Passed on by ${escapeHtml(current.transferredFrom.name)}</p>` : ''}
+                <button type="button" data-action="close-conversation">End chat</button>
+            </header>
+            <ol class="chat-messages" role="log" aria-live="polite" aria-label="Messages"></ol>
+            <p class="chat-typing" aria-live="polite" hidden>Typing…</p>
+            <form class="chat-composer volunteer-composer">
+                <label for="volunteer-message" class="sr-only">Reply</label>
+                <textarea id="volunteer-message" name="message" rows="2" maxlength="2000"></textarea>
+                <button type="submit">Send</button>
+            </form>
+            <form class="volunteer-transfer">
+                <label>Transfer to
+                    <select name="to"></select>
+                </label>
+                <label>Language
+                    <select name="language">
+                        ${Object.entries(supportedLanguages).map(([code, label]) =>
+                            `<option value="${code}" ${current.language === code ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+                <button type="submit">Transfer</button>
+            </form>
+        `;
+        this.renderTransferOptions();
+        this.renderMessages();
+        this.renderTyping();
     }
 
-    handleMessage(event) {
-        const message = JSON.parse(event.data);
-        this.addMessageToUI(message);
+    // Keeps the chosen volunteer when the list changes under it
+    renderTransferOptions() {
+        const select = this.panel?.querySelector('.volunteer-transfer select[name="to"]');
+        if (!select) return;
+        const selected = select.value;
+        const colleagues = this.volunteers.filter(volunteer => volunteer.id !== this.volunteer?.id);
+        select.innerHTML = `
+            <option value="">Back to the queue</option>
+            ${colleagues.map(volunteer => `
+                <option value="${escapeHtml(volunteer.id)}" ${volunteer.id === selected ? 'selected' : ''}>
+                    ${escapeHtml(volunteer.name)} (${volunteer.languages.map(ChatSupport.getLanguageName).map(escapeHtml).join(', ')})${volunteer.available ? '' : ' · away'}
+                </option>
+            `).join('')}
+        `;
+        // Language only applies when going back to the queue
+        select.form.elements.language.disabled = Boolean(select.value);
+    }
+
+    renderMessages() {
+        const list = this.panel?.querySelector('.volunteer-conversation .chat-messages');
+        const current = this.conversations.get(this.activeId);
+        if (!list || !current) return;
+
+        list.innerHTML = current.messages.map(message => `
+            <li class="chat-message ${message.from === 'agent' ? 'own' : 'incoming'}">
+                ${message.from === 'agent' && message.author !== this.volunteer?.name
+                    ? `<span class="chat-author">${escapeHtml(message.author || 'Volunteer')}</span>` : ''}
+                <p>${escapeHtml(message.text)}</p>
+                <span class="chat-meta">
+                    ${TimeUtils.timeElement(message.sentAt, 'chat-time')}
+                    ${message.from === 'agent' && message.state ? `<span class="chat-state ${message.state}">${ChatSupport.stateLabels[message.state]}</span>` : ''}
+                </span>
+            </li>
+        `).join('');
+        list.scrollTop = list.scrollHeight;
+    }
+
+    renderTyping() {
+        const indicator = this.panel?.querySelector('.volunteer-conversation .chat-typing');
+        if (indicator) indicator.hidden = !this.conversations.get(this.activeId)?.userTyping;
     }
 }
 
@@ -807,98 +5448,486 @@ document.querySelectorAll('.story, .forum-post, .event-card, .resource-card').fo
     observer.observe(el);
 });
 
-// Header scroll effect
-window.addEventListener('scroll', () => {
-    const header = document.querySelector('header');
-    if (window.scrollY > 50) {
-        header.classList.add('scrolled');
-    } else {
-        header.classList.remove('scrolled');
+// Header scroll effect
+window.addEventListener('scroll', () => {
+    const header = document.querySelector('header');
+    if (window.scrollY > 50) {
+        header.classList.add('scrolled');
+    } else {
+        header.classList.remove('scrolled');
+    }
+});
+
+// Loading animation
+window.addEventListener('load', () => {
+    const loader = document.querySelector('.loading');
+    if (loader) {
+        loader.style.opacity = '0';
+        setTimeout(() => {
+            loader.style.display = 'none';
+        }, 500);
+    }
+});
+
+// Smooth scroll for navigation
+document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+    anchor.addEventListener('click', function (e) {
+        e.preventDefault();
+        const target = document.querySelector(this.getAttribute('href'));
+        if (target) {
+            target.scrollIntoView({
+                behavior: 'smooth',
+                block: 'start'
+            });
+        }
+    });
+});
+
+// Parallax effect for hero section
+window.addEventListener('scroll', () => {
+    const hero = document.querySelector('.hero');
+    if (hero) {
+        const scrolled = window.pageYOffset;
+        hero.style.transform = `translateY(${scrolled * 0.5}px)`;
+    }
+});
+
+// Add location services
+// Geocoders share one interface: search(query, limit) resolves to
+// [{ name, region, label, latitude, longitude }], best match first.
+class GazetteerGeocoder {
+    constructor(url = 'data/indian-cities.json') {
+        this.url = url;
+        this.places = null;
+    }
+
+    load() {
+        if (!this.places) {
+            this.places = fetch(this.url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(rows => rows.map(row => ({
+                    name: row.name,
+                    region: row.region,
+                    label: row.region && row.region !== row.name ? `${row.name}, ${row.region}` : row.name,
+                    latitude: row.latitude,
+                    longitude: row.longitude,
+                    keys: [row.name, ...(row.aliases || [])].map(GazetteerGeocoder.normalize),
+                    regionKey: GazetteerGeocoder.normalize(row.region)
+                })))
+                .catch(error => {
+                    this.places = null;
+                    throw error;
+                });
+        }
+        return this.places;
+    }
+
+    static normalize(text) {
+        return String(text)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // "Pune" and "pune, maharashtra" both work; the part after a comma narrows by state
+    async search(query, limit = 5) {
+        const [placePart, regionPart = ''] = query.split(',');
+        const needle = GazetteerGeocoder.normalize(placePart);
+        const region = GazetteerGeocoder.normalize(regionPart);
+        if (!needle) return [];
+
+        const places = await this.load();
+        return places
+            .map((place, rank) => ({ place, rank, score: this.score(place, needle, region) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score || a.rank - b.rank)
+            .slice(0, limit)
+            .map(({ place: { keys, regionKey, ...place } }) => place);
+    }
+
+    score(place, needle, region) {
+        if (region && !place.regionKey.startsWith(region)) return 0;
+        return Math.max(...place.keys.map(key => {
+            if (key === needle) return 3;
+            if (key.startsWith(needle)) return 2;
+            return key.split(' ').some(word => word.startsWith(needle)) ? 1 : 0;
+        }));
+    }
+}
+
+class GeocodingService {
+    constructor(provider = new GazetteerGeocoder()) {
+        this.provider = provider;
+        this.minQueryLength = 2;
+    }
+
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    async suggest(query, limit = 5) {
+        if (query.trim().length < this.minQueryLength) return [];
+        return this.provider.search(query.trim(), limit);
+    }
+
+    async resolve(query) {
+        if (!query.trim()) return null;
+        const [best] = await this.provider.search(query.trim(), 1);
+        return best || null;
+    }
+
+    // Street addresses aren't in every provider, so fall back to the
+    // comma-separated parts from the end, where the city usually is
+    async resolveAddress(address) {
+        const exact = await this.resolve(address);
+        if (exact) return exact;
+
+        const parts = address.split(',').map(part => part.trim()).filter(Boolean).reverse();
+        for (const part of parts) {
+            const place = await this.resolve(part);
+            if (place) return place;
+        }
+        return null;
+    }
+}
+
+class LocationServices {
+    constructor(options = {}) {
+        this.dataService = new DataService();
+        this.geocoder = options.geocoder || new GeocodingService();
+        this.mapService = options.mapService || null;
+        // Other maps that should follow the user's chosen location
+        this.linkedMaps = options.linkedMaps || [];
+        this.catalog = options.catalog || serviceCatalog;
+        this.pageSize = options.pageSize || 3;
+        this.expandedCategories = new Set();
+        this.userLocation = null;
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.suggestRequest = 0;
+        this.setupLocationSearch();
+        this.setupDirectory();
+    }
+
+    setupLocationSearch() {
+        const input = document.getElementById('location-input');
+        const list = document.getElementById('location-suggestions');
+        if (!input || !list) return;
+
+        input.addEventListener('input', PerformanceUtils.debounce(() => this.updateSuggestions(input.value), 150));
+        input.addEventListener('keydown', (e) => this.handleSuggestionKeys(e));
+        input.addEventListener('blur', () => this.hideSuggestions());
+        // mousedown fires before the input loses focus
+        list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+            e.preventDefault();
+            this.selectSuggestion(Number(option.dataset.index));
+        });
+    }
+
+    async updateSuggestions(query) {
+        const request = ++this.suggestRequest;
+        try {
+            const suggestions = await this.geocoder.suggest(query);
+            if (request !== this.suggestRequest) return;
+            this.suggestions = suggestions;
+        } catch (error) {
+            console.error('Error looking up places:', error);
+            this.suggestions = [];
+        }
+        this.activeSuggestion = -1;
+        this.renderSuggestions();
+    }
+
+    renderSuggestions() {
+        const input = document.getElementById('location-input');
+        const list = document.getElementById('location-suggestions');
+        if (!input || !list) return;
+
+        list.innerHTML = this.suggestions.map((place, index) => `
+            <li role="option" id="location-option-${index}" data-index="${index}" aria-selected="${index === this.activeSuggestion}">
+                <span class="suggestion-name">${escapeHtml(place.name)}</span>
+                <span class="suggestion-region">${escapeHtml(place.region || '')}</span>
+            </li>
+        `).join('');
+        list.hidden = this.suggestions.length === 0;
+        input.setAttribute('aria-expanded', String(!list.hidden));
+        if (this.activeSuggestion >= 0) {
+            input.setAttribute('aria-activedescendant', `location-option-${this.activeSuggestion}`);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    hideSuggestions() {
+        this.suggestRequest++;
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.renderSuggestions();
+    }
+
+    handleSuggestionKeys(e) {
+        const count = this.suggestions.length;
+        if (e.key === 'ArrowDown' && count > 0) {
+            e.preventDefault();
+            this.activeSuggestion = (this.activeSuggestion + 1) % count;
+            this.renderSuggestions();
+        } else if (e.key === 'ArrowUp' && count > 0) {
+            e.preventDefault();
+            this.activeSuggestion = (this.activeSuggestion - 1 + count) % count;
+            this.renderSuggestions();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (this.activeSuggestion >= 0) {
+                this.selectSuggestion(this.activeSuggestion);
+            } else {
+                this.searchLocation(e.target.value);
+            }
+        } else if (e.key === 'Escape') {
+            this.hideSuggestions();
+        }
+    }
+
+    selectSuggestion(index) {
+        const place = this.suggestions[index];
+        if (!place) return;
+        document.getElementById('location-input').value = place.label;
+        this.hideSuggestions();
+        return this.setLocation(place.latitude, place.longitude, place.label, 'search');
+    }
+
+    async searchLocation(query) {
+        this.hideSuggestions();
+        if (!query.trim()) return;
+
+        try {
+            const place = await this.geocoder.resolve(query);
+            if (!place) {
+                this.showLocationStatus(`We couldn't find "${query.trim()}". Try the name of a nearby city.`, 'error');
+                return;
+            }
+            document.getElementById('location-input').value = place.label;
+            await this.setLocation(place.latitude, place.longitude, place.label, 'search');
+        } catch (error) {
+            console.error('Error finding location:', error);
+            this.showLocationStatus('Location search is unavailable right now. Please try again.', 'error');
+        }
+    }
+
+    async requestLocationPermission() {
+        if (!('geolocation' in navigator)) {
+            this.showLocationStatus('Location isn\'t available on this device. Type your city instead.', 'unavailable');
+            document.getElementById('location-input')?.focus();
+            return;
+        }
+
+        try {
+            const permission = await navigator.permissions?.query({ name: 'geolocation' });
+            if (permission?.state === 'denied') {
+                this.showLocationDenied();
+                return;
+            }
+        } catch (error) {
+            // Older browsers can't query geolocation permission; just ask
+        }
+
+        this.showLocationStatus('Finding your location...', 'pending');
+        try {
+            const position = await new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject, {
+                    enableHighAccuracy: false,
+                    timeout: 10000,
+                    maximumAge: 5 * 60 * 1000
+                });
+            });
+            const { latitude, longitude } = position.coords;
+            await this.setLocation(latitude, longitude, 'your current location', 'gps');
+        } catch (error) {
+            if (error.code === 1) {
+                this.showLocationDenied();
+            } else if (error.code === 3) {
+                this.showLocationStatus('Finding your location took too long. Try again, or type your city instead.', 'unavailable');
+            } else {
+                this.showLocationStatus('We couldn\'t work out where you are. Type your city instead.', 'unavailable');
+            }
+        }
+    }
+
+    showLocationDenied() {
+        this.showLocationStatus(
+            'Location access is turned off for this site. Allow it in your browser settings, or type your city instead.',
+            'denied'
+        );
+        document.getElementById('location-input')?.focus();
+    }
+
+    showLocationStatus(message, state = 'info') {
+        const status = document.getElementById('location-status');
+        if (!status) return;
+        status.textContent = message;
+        status.dataset.state = state;
+        status.hidden = false;
+    }
+
+    setLocation(latitude, longitude, label, source) {
+        this.userLocation = { coords: { latitude, longitude }, label, source };
+        this.showLocationStatus(`Showing services near ${label}.`, 'success');
+        return this.updateNearbyServices();
+    }
+
+    async updateNearbyServices() {
+        if (!this.userLocation) return;
+
+        const { latitude, longitude } = this.userLocation.coords;
+        [this.mapService, ...this.linkedMaps]
+            .filter(map => map?.map)
+            .forEach(map => map.setUserLocation(latitude, longitude));
+        await this.loadDirectory();
+    }
+
+    setupDirectory() {
+        document.querySelectorAll('.service-categories .service-category').forEach(category => {
+            if (!category.querySelector('.show-more')) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'show-more';
+                button.hidden = true;
+                button.addEventListener('click', () => this.toggleCategory(category.dataset.category));
+                category.appendChild(button);
+            }
+        });
+
+        document.querySelector('.service-categories')?.addEventListener('click', (e) => {
+            const mapButton = e.target.closest('[data-show-on-map]');
+            if (mapButton) {
+                this.mapService?.focusService(mapButton.dataset.showOnMap);
+            } else if (e.target.closest('.retry-button')) {
+                this.loadDirectory();
+            }
+        });
+
+        // Keep ratings and listings current when the catalogue or its reviews change
+        this.catalog.subscribe(() => {
+            if (this.catalog.getAll().length > 0) this.displayServices();
+        });
+    }
+
+    async loadDirectory() {
+        this.renderDirectoryStatus('Loading services...', 'loading');
+        try {
+            await this.catalog.load();
+            this.displayServices();
+        } catch (error) {
+            console.error('Error loading services directory:', error);
+            this.renderDirectoryStatus(
+                'Services could not be loaded. <button type="button" class="retry-button">Try again</button>',
+                'error'
+            );
+        }
+    }
+
+    renderDirectoryStatus(html, state) {
+        document.querySelectorAll('.service-categories .service-category').forEach(category => {
+            category.querySelector('.service-list').innerHTML = `<li class="service-list-status ${state}">${html}</li>`;
+            category.querySelector('.show-more').hidden = true;
+        });
+    }
+
+    toggleCategory(category) {
+        if (this.expandedCategories.has(category)) {
+            this.expandedCategories.delete(category);
+        } else {
+            this.expandedCategories.add(category);
+        }
+        this.displayServices();
     }
-});
 
-// Loading animation
-window.addEventListener('load', () => {
-    const loader = document.querySelector('.loading');
-    if (loader) {
-        loader.style.opacity = '0';
-        setTimeout(() => {
-            loader.style.display = 'none';
-        }, 500);
+    // The same place can reach us twice (API and a provider registration), so
+    // duplicates are matched by id and by name at the same spot
+    static dedupe(services) {
+        const seen = new Set();
+        return services.filter(service => {
+            const keys = [
+                `id:${service.id}`,
+                `place:${service.name.trim().toLowerCase()}@${service.location.map(n => n.toFixed(4)).join(',')}`
+            ];
+            if (keys.some(key => seen.has(key))) return false;
+            keys.forEach(key => seen.add(key));
+            return true;
+        });
     }
-});
 
-// Smooth scroll for navigation
-document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-    anchor.addEventListener('click', function (e) {
-        e.preventDefault();
-        const target = document.querySelector(this.getAttribute('href'));
-        if (target) {
-            target.scrollIntoView({
-                behavior: 'smooth',
-                block: 'start'
-            });
+    static verificationBadge(service) {
+        if (service.verified) return '<span class="verified">✓ Verified</span>';
+        if (service.status === 'pending' || service.status === 'changes_requested') {
+            return `<span class="pending-verification">${ProviderSubmissions.statusLabels[service.status]}</span>`;
         }
-    });
-});
+        return '';
+    }
 
-// Parallax effect for hero section
-window.addEventListener('scroll', () => {
-    const hero = document.querySelector('.hero');
-    if (hero) {
-        const scrolled = window.pageYOffset;
-        hero.style.transform = `translateY(${scrolled * 0.5}px)`;
+    getRating(service) {
+        return this.mapService?.reviews.size > 0
+            ? this.mapService.getRating(service.id)
+            : ServiceCatalog.averageRating(service.reviews);
     }
-});
 
-// Add location services
-class LocationServices {
-    constructor() {
-        this.dataService = new DataService();
-        this.userLocation = null;
+    sortServices(services) {
+        if (this.userLocation) {
+            const { latitude, longitude } = this.userLocation.coords;
+            return services
+                .map(service => ({ ...service, distance: GeoUtils.distanceKm([latitude, longitude], service.location) }))
+                .sort((a, b) => a.distance - b.distance);
+        }
+        return services
+            .map(service => ({ ...service, rating: this.getRating(service) }))
+            .sort((a, b) => b.rating - a.rating || a.name.localeCompare(b.name));
     }
 
-    async updateNearbyServices() {
-        if (!this.userLocation) return;
-        
-        const { latitude, longitude } = this.userLocation.coords;
-        const services = await this.dataService.searchServices(latitude, longitude);
-        this.displayServices(services);
-        
-        const locations = await this.dataService.getNearbyLocations(latitude, longitude);
-        this.updateMap(locations);
-    }
-
-    displayServices(services) {
-        services.forEach(service => {
-            const categoryList = document.getElementById(`${service.type}-services`);
-            if (categoryList) {
-                const li = document.createElement('li');
-                li.innerHTML = `
-                    <div class="service-item">
-                        <h4>${escapeHtml(service.name)}</h4>
-                        <p>${escapeHtml(service.contact)}</p>
-                        <span class="rating">Rating: ${service.rating}/5</span>
-                        ${service.verified ? '<span class="verified">✓ Verified</span>' : ''}
-                    </div>
-                `;
-                categoryList.appendChild(li);
+    displayServices(services = this.catalog.getAll()) {
+        const sorted = this.sortServices(LocationServices.dedupe(services));
+
+        document.querySelectorAll('.service-categories .service-category').forEach(category => {
+            const type = category.dataset.category;
+            const list = category.querySelector('.service-list');
+            const showMore = category.querySelector('.show-more');
+            const matches = sorted.filter(service => service.type === type);
+            const expanded = this.expandedCategories.has(type);
+            const shown = expanded ? matches : matches.slice(0, this.pageSize);
+
+            list.innerHTML = shown.length === 0
+                ? '<li class="service-list-status empty animate-in">No services listed here yet.</li>'
+                : shown.map((service, index) => this.renderServiceItem(service, index)).join('');
+
+            showMore.hidden = matches.length <= this.pageSize;
+            if (!showMore.hidden) {
+                showMore.textContent = expanded ? 'Show fewer' : `Show ${matches.length - this.pageSize} more`;
+                showMore.setAttribute('aria-expanded', String(expanded));
             }
         });
     }
 
-    updateMap(locations) {
-        locations.forEach(location => {
-            L.marker([location.latitude, location.longitude])
-                .bindPopup(`
-                    <h3>${escapeHtml(location.name)}</h3>
-                    <p>Population: ${location.population.toLocaleString()}</p>
-                    <button onclick="showLocationDetails(${location.id})">
-                        View Details
-                    </button>
-                `)
-                .addTo(map);
-        });
+    renderServiceItem(service, index) {
+        const rating = typeof service.rating === 'number' ? service.rating : this.getRating(service);
+        return `
+            <li class="animate-in" style="--item-index: ${index}">
+                <div class="service-item">
+                    <h4>${escapeHtml(service.name)}</h4>
+                    <p>${escapeHtml(service.contact)}</p>
+                    <span class="rating">Rating: ${rating ? rating.toFixed(1) : '–'}/5</span>
+                    ${typeof service.distance === 'number' ? `<span class="distance">${GeoUtils.formatDistance(service.distance)} away</span>` : ''}
+                    ${LocationServices.verificationBadge(service)}
+                    ${this.mapService ? `<button type="button" class="show-on-map" data-show-on-map="${escapeHtml(String(service.id))}">Show on map</button>` : ''}
+                </div>
+            </li>
+        `;
     }
 }
 
@@ -991,24 +6020,211 @@ class ExperienceSharing {
     }
 }
 
+// Registrations sent from this device, kept so providers can follow verification
+const ProviderSubmissions = {
+    storageKey: 'providerSubmissions',
+    statusLabels: {
+        pending: 'Pending verification',
+        approved: 'Verified',
+        changes_requested: 'Changes requested',
+        rejected: 'Not approved'
+    },
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Error reading provider submissions:', error);
+            return [];
+        }
+    },
+
+    save(submissions) {
+        localStorage.setItem(this.storageKey, JSON.stringify(submissions));
+    },
+
+    add(record) {
+        const submissions = this.load().filter(submission => String(submission.id) !== String(record.id));
+        submissions.push(record);
+        this.save(submissions);
+        return record;
+    },
+
+    update(id, changes) {
+        const submissions = this.load();
+        const submission = submissions.find(item => String(item.id) === String(id));
+        if (!submission) return null;
+        Object.assign(submission, changes);
+        this.save(submissions);
+        return submission;
+    },
+
+    // Listings still awaiting a decision stay visible to the provider who sent them
+    getVisible() {
+        return this.load().filter(submission => ['pending', 'changes_requested'].includes(submission.status));
+    }
+};
+
+// Admin review of provider submissions. Decisions are recorded server-side
+// with who made them, and applied to the shared catalogue straight away.
+const VerificationDashboard = {
+    dataService: null,
+    pending: [],
+    auditLog: [],
+    decisionLabels: {
+        approved: 'Approved',
+        rejected: 'Rejected',
+        changes_requested: 'Changes requested'
+    },
+
+    async render() {
+        const panel = document.getElementById('verification-panel');
+        if (!panel) return;
+
+        panel.hidden = !auth.isAdmin();
+        if (panel.hidden) {
+            this.pending = [];
+            this.auditLog = [];
+            return;
+        }
+
+        this.dataService = this.dataService || new DataService();
+        const status = panel.querySelector('.verification-status');
+        status.textContent = 'Loading submissions...';
+        try {
+            [this.pending, this.auditLog] = await Promise.all([
+                this.dataService.fetchPendingServices(),
+                this.dataService.fetchVerificationLog()
+            ]);
+            status.textContent = '';
+        } catch (error) {
+            console.error('Error loading verification queue:', error);
+            status.innerHTML = 'Submissions could not be loaded. <button type="button" data-action="reload">Try again</button>';
+        }
+        this.renderQueue();
+        this.renderAuditLog();
+    },
+
+    renderQueue() {
+        const list = document.querySelector('#verification-panel .verification-queue');
+        if (!list) return;
+
+        list.innerHTML = this.pending.length === 0
+            ? '<li class="verification-empty">No submissions waiting for verification.</li>'
+            : this.pending.map(service => {
+                const id = escapeHtml(String(service.id));
+                return `
+                    <li class="verification-item" data-service-id="${id}">
+                        <div class="verification-summary">
+                            <strong>${escapeHtml(service.name)}</strong>
+                            <span class="service-type">${escapeHtml(service.type)}</span>
+                            ${service.submittedAt ? TimeUtils.timeElement(service.submittedAt, 'submission-date') : ''}
+                        </div>
+                        <p>${escapeHtml(service.description)}</p>
+                        <dl class="verification-details">
+                            <dt>Address</dt><dd>${escapeHtml(service.address || 'Not given')}</dd>
+                            <dt>Map pin</dt><dd>${service.location.map(value => Number(value).toFixed(5)).join(', ')}</dd>
+                            <dt>Contact</dt><dd>${escapeHtml(service.contact)}</dd>
+                        </dl>
+                        <label for="verification-note-${id}">Note to provider (required to reject or request changes)</label>
+                        <textarea id="verification-note-${id}" maxlength="500"></textarea>
+                        <div class="button-group">
+                            <button type="button" data-decision="approved">Approve</button>
+                            <button type="button" data-decision="changes_requested">Request changes</button>
+                            <button type="button" data-decision="rejected">Reject</button>
+                        </div>
+                    </li>
+                `;
+            }).join('');
+    },
+
+    renderAuditLog() {
+        const list = document.querySelector('#verification-panel .verification-audit');
+        if (!list) return;
+
+        list.innerHTML = this.auditLog.length === 0
+            ? '<li class="verification-empty">No verification decisions yet.</li>'
+            : this.auditLog.map(entry => `
+                <li>
+                    <strong>${escapeHtml(this.decisionLabels[entry.decision] || entry.decision)}</strong>
+                    ${escapeHtml(entry.serviceName)} by ${escapeHtml(entry.by.name)}
+                    ${TimeUtils.timeElement(entry.at, 'audit-date')}
+                    ${entry.note ? `<p class="submission-note">${escapeHtml(entry.note)}</p>` : ''}
+                </li>
+            `).join('');
+    },
+
+    async decide(serviceId, decision) {
+        if (!auth.isAdmin()) {
+            showError('Only admins can verify services.');
+            return;
+        }
+        const item = [...document.querySelectorAll('.verification-item')]
+            .find(element => element.dataset.serviceId === String(serviceId));
+        const noteField = item?.querySelector('textarea');
+        const note = noteField ? noteField.value.trim() : '';
+        if (decision !== 'approved' && !note) {
+            showError('Add a note so the provider knows what to change.');
+            noteField?.focus();
+            return;
+        }
+
+        item?.querySelectorAll('button').forEach(button => { button.disabled = true; });
+        try {
+            const { service, entry } = await this.dataService.verifyService(serviceId, decision, note);
+            if (decision === 'approved') {
+                serviceCatalog.addLocal(service);
+            } else {
+                serviceCatalog.remove(service.id);
+            }
+            this.pending = this.pending.filter(pending => String(pending.id) !== String(serviceId));
+            this.auditLog.unshift(entry);
+            this.renderQueue();
+            this.renderAuditLog();
+            accessibilityManager.announce(`${service.name}: ${this.decisionLabels[decision].toLowerCase()}`);
+        } catch (error) {
+            console.error('Error saving verification decision:', error);
+            showError('Could not save this decision. Please try again.');
+            item?.querySelectorAll('button').forEach(button => { button.disabled = false; });
+        }
+    }
+};
+
+// Token refreshes don't change the role, and re-rendering would drop typed notes
+auth.subscribe(({ type }) => {
+    if (type !== 'refresh') VerificationDashboard.render();
+});
+document.getElementById('verification-panel')?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-decision]');
+    if (button) VerificationDashboard.decide(button.closest('.verification-item').dataset.serviceId, button.dataset.decision);
+    if (e.target.closest('[data-action="reload"]')) VerificationDashboard.render();
+});
+
 class ServiceProvider {
-    constructor() {
+    constructor(options = {}) {
         this.categories = [
             'Housing', 'Employment', 'Education', 
             'Healthcare', 'Legal', 'Language'
         ];
+        this.dataService = options.dataService || null;
+        this.geocoder = options.geocoder || null;
+        this.catalog = options.catalog || null;
+        this.location = null;
+        this.previewMap = null;
+        this.previewMarker = null;
     }
 
     createRegistrationForm() {
         return `
-            <form id="provider-form" class="provider-form">
+            <form id="provider-form" class="provider-form" novalidate>
                 <div class="form-group">
                     <label for="service-name">Service Name</label>
-                    <input type="text" id="service-name" required>
+                    <input type="text" id="service-name" name="name" maxlength="100" required>
                 </div>
                 <div class="form-group">
                     <label for="category">Service Category</label>
-                    <select id="category" required>
+                    <select id="category" name="type" required>
                         ${this.categories.map(category => 
                             `<option value="${category.toLowerCase()}">${category}</option>`
                         ).join('')}
@@ -1016,37 +6232,282 @@ class ServiceProvider {
                 </div>
                 <div class="form-group">
                     <label for="description">Service Description</label>
-                    <textarea id="description" required></textarea>
+                    <textarea id="description" name="description" maxlength="1000" required></textarea>
                 </div>
                 <div class="form-group">
                     <label for="location">Service Location</label>
-                    <input type="text" id="location" required>
+                    <div class="location-field">
+                        <input type="text" id="location" name="location" maxlength="200"
+                            placeholder="Area and city, e.g. Andheri East, Mumbai" required>
+                        <button type="button" data-action="preview-location">Show on map</button>
+                    </div>
+                    <p class="location-preview-status" aria-live="polite"></p>
+                    <div class="provider-preview-map" hidden></div>
                 </div>
                 <div class="form-group">
                     <label for="contact">Contact Information</label>
-                    <input type="text" id="contact" required>
+                    <input type="text" id="contact" name="contact" maxlength="100" placeholder="Phone number or email" required>
                 </div>
                 <button type="submit">Register Service</button>
             </form>
         `;
     }
+
+    mount(containerId = 'provider-registration') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        this.dataService = this.dataService || new DataService();
+        this.geocoder = this.geocoder || new GeocodingService();
+        this.catalog = this.catalog || serviceCatalog;
+
+        container.innerHTML = `
+            ${this.createRegistrationForm()}
+            <div class="provider-submissions" aria-live="polite"></div>
+        `;
+        const form = container.querySelector('#provider-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit(form);
+        });
+        form.querySelector('[data-action="preview-location"]').addEventListener('click', () => this.previewLocation(form));
+        // A pin placed for the old text no longer applies once the address changes
+        form.elements.location.addEventListener('input', () => {
+            this.location = null;
+        });
+        this.renderSubmissions();
+        this.refreshSubmissions();
+    }
+
+    // Picks up verification decisions made since the provider last visited
+    async refreshSubmissions() {
+        const submissions = ProviderSubmissions.load();
+        if (submissions.length === 0) return;
+
+        try {
+            const statuses = await this.dataService.fetchSubmissionStatus(submissions.map(submission => submission.id));
+            statuses.forEach(({ id, status, verified, reviewNote }) => {
+                const submission = ProviderSubmissions.update(id, { status, verified, reviewNote });
+                if (status === 'rejected') {
+                    this.catalog.remove(id);
+                } else {
+                    this.catalog.addLocal(submission);
+                }
+            });
+            this.renderSubmissions();
+        } catch (error) {
+            console.warn('Could not check submission status:', error.message);
+        }
+    }
+
+    readForm(form) {
+        return {
+            name: form.elements.name.value.trim(),
+            type: form.elements.type.value,
+            description: form.elements.description.value.trim(),
+            location: form.elements.location.value.trim(),
+            contact: form.elements.contact.value.trim()
+        };
+    }
+
+    validate(fields) {
+        const rules = {
+            name: { required: true, minLength: 3, maxLength: 100 },
+            description: { required: true, minLength: 20, maxLength: 1000 },
+            location: { required: true, maxLength: 200 },
+            contact: {
+                required: true,
+                maxLength: 100,
+                pattern: /^(\+?[\d\s()-]{6,20}|[^\s@]+@[^\s@]+\.[^\s@]+)$/,
+                hint: 'Enter a phone number or email address'
+            }
+        };
+        const errors = {};
+        Object.entries(rules).forEach(([field, rule]) => {
+            const fieldErrors = SecurityUtils.validateInput(fields[field], rule)
+                .map(error => error === 'Invalid format' && rule.hint ? rule.hint : error);
+            if (fieldErrors.length > 0) errors[field] = fieldErrors;
+        });
+        if (!this.categories.some(category => category.toLowerCase() === fields.type)) {
+            errors.type = ['Choose a service category'];
+        }
+        return errors;
+    }
+
+    showFieldErrors(form, errors) {
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('[aria-invalid]').forEach(field => {
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('aria-describedby');
+        });
+
+        Object.entries(errors).forEach(([name, messages]) => {
+            const field = form.elements[name];
+            const message = document.createElement('p');
+            message.className = 'field-error';
+            message.id = `${field.id}-error`;
+            message.textContent = messages[0];
+            field.setAttribute('aria-invalid', 'true');
+            field.setAttribute('aria-describedby', message.id);
+            field.closest('.form-group').appendChild(message);
+        });
+    }
+
+    async previewLocation(form) {
+        const address = form.elements.location.value.trim();
+        const status = form.querySelector('.location-preview-status');
+        if (!address) {
+            status.textContent = 'Enter the area and city first.';
+            return null;
+        }
+
+        status.textContent = 'Finding this place...';
+        try {
+            const place = await this.geocoder.resolveAddress(address);
+            if (!place) {
+                this.location = null;
+                status.textContent = 'We couldn\'t find that place. Include the city, e.g. "Andheri East, Mumbai".';
+                return null;
+            }
+            this.location = { latitude: place.latitude, longitude: place.longitude };
+            this.showPreviewMarker(form);
+            status.textContent = `Pinned near ${place.label}. Drag the pin to your entrance if you can.`;
+            return this.location;
+        } catch (error) {
+            console.error('Error finding service location:', error);
+            status.textContent = 'Location lookup is unavailable right now. Please try again.';
+            return null;
+        }
+    }
+
+    showPreviewMarker(form) {
+        const container = form.querySelector('.provider-preview-map');
+        const position = [this.location.latitude, this.location.longitude];
+        container.hidden = false;
+
+        if (!this.previewMap) {
+            this.previewMap = L.map(container).setView(position, 14);
+            L.tileLayer(OfflineTiles.getTemplate(), {
+                attribution: '© OpenStreetMap contributors',
+                maxZoom: 19,
+                crossOrigin: '',
+                errorTileUrl: OfflineTiles.placeholderTile
+            }).addTo(this.previewMap);
+        } else {
+            this.previewMap.invalidateSize();
+            this.previewMap.setView(position, 14);
+        }
+
+        if (!this.previewMarker) {
+            this.previewMarker = L.marker(position, { draggable: true }).addTo(this.previewMap);
+            this.previewMarker.on('dragend', () => {
+                const { lat, lng } = this.previewMarker.getLatLng();
+                this.location = { latitude: lat, longitude: lng };
+            });
+        } else {
+            this.previewMarker.setLatLng(position);
+        }
+        this.previewMarker.bindPopup(escapeHtml(form.elements.name.value.trim() || 'Your service')).openPopup();
+    }
+
+    async handleSubmit(form) {
+        const fields = this.readForm(form);
+        const errors = this.validate(fields);
+        this.showFieldErrors(form, errors);
+        if (Object.keys(errors).length > 0) {
+            form.querySelector('[aria-invalid="true"]').focus();
+            return;
+        }
+
+        const location = this.location || await this.previewLocation(form);
+        if (!location) {
+            form.elements.location.focus();
+            return;
+        }
+
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        submitButton.textContent = 'Submitting...';
+
+        try {
+            const record = await this.dataService.registerService({
+                name: fields.name,
+                type: fields.type,
+                description: fields.description,
+                address: fields.location,
+                location: [location.latitude, location.longitude],
+                contact: fields.contact
+            });
+            const submission = ProviderSubmissions.add({
+                ...record,
+                status: record.status || 'pending',
+                verified: false
+            });
+            this.catalog.addLocal(submission);
+
+            form.reset();
+            this.location = null;
+            form.querySelector('.provider-preview-map').hidden = true;
+            form.querySelector('.location-preview-status').textContent = '';
+            this.renderSubmissions();
+            accessibilityManager.announce('Thank you. Your service has been submitted for verification.');
+        } catch (error) {
+            console.error('Error registering service:', error);
+            showError('Could not submit your service. Please try again.');
+        } finally {
+            submitButton.disabled = false;
+            submitButton.textContent = 'Register Service';
+        }
+    }
+
+    renderSubmissions() {
+        const container = document.querySelector('.provider-submissions');
+        if (!container) return;
+
+        const submissions = ProviderSubmissions.load()
+            .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+        container.innerHTML = submissions.length === 0 ? '' : `
+            <h3>Your submissions</h3>
+            <ul class="submission-list">
+                ${submissions.map(submission => `
+                    <li class="submission-item">
+                        <strong>${escapeHtml(submission.name)}</strong>
+                        <span class="submission-status ${escapeHtml(submission.status)}">
+                            ${escapeHtml(ProviderSubmissions.statusLabels[submission.status] || submission.status)}
+                        </span>
+                        ${submission.submittedAt ? TimeUtils.timeElement(submission.submittedAt, 'submission-date') : ''}
+                        ${submission.reviewNote ? `<p class="submission-note">${escapeHtml(submission.reviewNote)}</p>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
 }
 
 class DataService {
     constructor() {
-        this.API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:8080/api';
+        this.API_BASE_URL = (typeof process !== 'undefined' && process.env.API_BASE_URL) ||
+            document.querySelector('meta[name="api-base-url"]')?.content ||
+            'http://localhost:8080/api';
         this.endpoints = {
             stories: '/stories',
             migrations: '/migration-data',
             services: '/services',
             users: '/users',
-            experiences: '/experiences'
+            experiences: '/experiences',
+            forumPosts: '/forum/posts',
+            routes: '/route',
+            emergencyContacts: '/emergency-contacts',
+            events: '/events',
+            adminServices: '/admin/services',
+            verificationLog: '/admin/verification-log',
+            reports: '/reports'
         };
         this.retryAttempts = 3;
         this.retryDelay = 1000;
     }
 
-    async fetchWithRetry(url, options, attempts = this.retryAttempts) {
+    async fetchWithRetry(url, options = {}, attempts = this.retryAttempts, authRetried = false) {
         try {
             const response = await fetch(url, {
                 ...options,
@@ -1057,15 +6518,23 @@ class DataService {
                 timeout: 5000
             });
             
+            // An expired access token gets one refresh before giving up
+            if (response.status === 401 && !authRetried && auth.currentUser && await auth.refreshSession()) {
+                return this.fetchWithRetry(url, options, attempts, true);
+            }
+
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             
+            if (response.status === 204) {
+                return null;
+            }
             return await response.json();
         } catch (error) {
             if (attempts > 1) {
                 await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-                return this.fetchWithRetry(url, options, attempts - 1);
+                return this.fetchWithRetry(url, options, attempts - 1, authRetried);
             }
             throw error;
         }
@@ -1092,6 +6561,159 @@ class DataService {
         }
     }
 
+    async fetchForumPosts({ limit, cursor } = {}) {
+        try {
+            const url = new URL(`${this.API_BASE_URL}${this.endpoints.forumPosts}`);
+            if (limit) url.searchParams.append('limit', limit);
+            if (cursor) url.searchParams.append('cursor', cursor);
+
+            const data = await this.fetchWithRetry(url.toString());
+            // Older backends return a bare array with no paging information
+            return Array.isArray(data) ? { posts: data, nextCursor: null } : data;
+        } catch (error) {
+            console.error('Error fetching forum posts:', error);
+            throw new Error('Failed to fetch forum posts');
+        }
+    }
+
+    async createForumPost(postData) {
+        try {
+            return await this.fetchWithRetry(`${this.API_BASE_URL}${this.endpoints.forumPosts}`, {
+                method: 'POST',
+                body: JSON.stringify(postData)
+            });
+        } catch (error) {
+            console.error('Error creating forum post:', error);
+            throw new Error('Failed to create forum post');
+        }
+    }
+
+    async setForumPostLike(postId, liked) {
+        try {
+            return await this.fetchWithRetry(
+                `${this.API_BASE_URL}${this.endpoints.forumPosts}/${encodeURIComponent(postId)}/like`,
+                { method: liked ? 'PUT' : 'DELETE' }
+            );
+        } catch (error) {
+            console.error('Error updating forum post like:', error);
+            throw new Error('Failed to update forum post like');
+        }
+    }
+
+    async deleteForumPost(postId) {
+        try {
+            return await this.fetchWithRetry(
+                `${this.API_BASE_URL}${this.endpoints.forumPosts}/${encodeURIComponent(postId)}`,
+                { method: 'DELETE' }
+            );
+        } catch (error) {
+            console.error('Error deleting forum post:', error);
+            throw new Error('Failed to delete forum post');
+        }
+    }
+
+    async fetchServices() {
+        // Single attempt: callers fall back to the bundled catalogue
+        return this.fetchWithRetry(`${this.API_BASE_URL}${this.endpoints.services}`, {}, 1);
+    }
+
+    async registerService(service) {
+        return this.fetchWithRetry(`${this.API_BASE_URL}${this.endpoints.services}`, {
+            method: 'POST',
+            body: JSON.stringify(service)
+        }, 1);
+    }
+
+    async fetchSubmissionStatus(ids) {
+        const url = new URL(`${this.API_BASE_URL}${this.endpoints.services}/submissions`, window.location.href);
+        url.searchParams.set('ids', ids.join(','));
+        return this.fetchWithRetry(url.toString(), {}, 1);
+    }
+
+    async fetchEvents() {
+        return this.fetchWithRetry(`${this.API_BASE_URL}${this.endpoints.events}`);
+    }
+
+    async registerForEvent(eventId) {
+        return this.fetchWithRetry(
+            `${this.API_BASE_URL}${this.endpoints.events}/${encodeURIComponent(eventId)}/registration`,
+            { method: 'POST' },
+            1
+        );
+    }
+
+    async cancelEventRegistration(eventId) {
+        return this.fetchWithRetry(
+            `${this.API_BASE_URL}${this.endpoints.events}/${encodeURIComponent(eventId)}/registration`,
+            { method: 'DELETE' },
+            1
+        );
+    }
+
+    async fetchPendingServices() {
+        return this.fetchWithRetry(`${this.API_BASE_URL}${this.endpoints.adminServices}?status=pending`);
+    }
+
+    async verifyService(serviceId, decision, note) {
+        return this.fetchWithRetry(
+            `${this.API_BASE_URL}${this.endpoints.adminServices}/${encodeURIComponent(serviceId)}/verification`,
+            { method: 'POST', body: JSON.stringify({ decision, note }) },
+            1
+        );
+    }
+
+    async fetchVerificationLog() {
+        return this.fetchWithRetry(`${this.API_BASE_URL}${this.endpoints.verificationLog}`);
+    }
+
+    reportsUrl(path, reporterId) {
+        const url = new URL(`${this.API_BASE_URL}${this.endpoints.reports}${path}`, window.location.href);
+        url.searchParams.set('reporter', reporterId);
+        return url.toString();
+    }
+
+    async fetchReports(reporterId) {
+        return this.fetchWithRetry(this.reportsUrl('', reporterId), {}, 1);
+    }
+
+    async createReport(report) {
+        return this.fetchWithRetry(
+            this.reportsUrl('', report.reporterId),
+            { method: 'POST', body: JSON.stringify(report) },
+            1
+        );
+    }
+
+    async resolveReports(contentType, contentId, status, reporterId) {
+        return this.fetchWithRetry(
+            this.reportsUrl('/resolution', reporterId),
+            { method: 'POST', body: JSON.stringify({ contentType, contentId, status }) },
+            1
+        );
+    }
+
+    async submitReview(review) {
+        const { authorKey, ...payload } = review;
+        return this.fetchWithRetry(
+            `${this.API_BASE_URL}${this.endpoints.services}/${encodeURIComponent(review.serviceId)}/reviews`,
+            { method: 'POST', body: JSON.stringify(payload) },
+            1
+        );
+    }
+
+    async fetchEmergencyContacts() {
+        return this.fetchWithRetry(`${this.API_BASE_URL}${this.endpoints.emergencyContacts}`, {}, 1);
+    }
+
+    async fetchRoute(from, to, mode) {
+        const url = new URL(`${this.API_BASE_URL}${this.endpoints.routes}`, window.location.href);
+        url.searchParams.append('from', from.join(','));
+        url.searchParams.append('to', to.join(','));
+        url.searchParams.append('mode', mode);
+        // Single attempt: the routing service falls back to an estimate
+        return this.fetchWithRetry(url.toString(), {}, 1);
+    }
+
     async fetchNearbyServices(latitude, longitude, radius = 5) {
         try {
             const url = new URL(`${this.API_BASE_URL}${this.endpoints.services}/nearby`);
@@ -1325,7 +6947,7 @@ class RealTimeUpdates {
         switch(data.type) {
             case 'new_service':
                 this.addNewService(data.service);
-                this.showNotification('New service available in your area!');
+                RealTimeUpdates.showNotification('New service available in your area!');
                 break;
             case 'emergency_alert':
                 this.showEmergencyAlert(data.alert);
@@ -1336,9 +6958,10 @@ class RealTimeUpdates {
         }
     }
 
-    showNotification(message) {
+    static showNotification(message, { duration = 5000 } = {}) {
         const notification = document.createElement('div');
         notification.className = 'notification';
+        notification.setAttribute('role', 'status');
         notification.innerHTML = `
             <div class="notification-content">
                 <p>${escapeHtml(message)}</p>
@@ -1354,7 +6977,7 @@ class RealTimeUpdates {
         setTimeout(() => {
             notification.classList.remove('show');
             setTimeout(() => notification.remove(), 300);
-        }, 5000);
+        }, duration);
     }
 }
 
@@ -1476,40 +7099,74 @@ function createStoryCard(story) {
     article.className = 'story-card';
     article.setAttribute('role', 'article');
     article.setAttribute('aria-labelledby', `story-title-${story.id}`);
+    article.dataset.storyId = story.id;
+
+    if (ModerationQueue.isHidden('story', story.id) && !auth.isModerator()) {
+        article.classList.add('moderated');
+        article.innerHTML = `
+            <p class="moderated-notice" id="story-title-${story.id}">This story has been hidden after reports from the community.</p>
+        `;
+        return article;
+    }
     
     article.innerHTML = `
         <div class="story-header">
             <div class="author-info">
-                <h3 id="story-title-${story.id}">${SecurityUtils.sanitizeInput(story.author)}</h3>
+                <h3 id="story-title-${story.id}">${createAuthorBadge({ name: story.author, color: story.authorColor, anonymous: story.anonymous })}</h3>
                 <div class="migration-path" role="text">
                     <span class="origin">${SecurityUtils.sanitizeInput(story.origin)}</span>
                     <span class="arrow" aria-hidden="true">→</span>
                     <span class="destination">${SecurityUtils.sanitizeInput(story.destination)}</span>
                 </div>
             </div>
-            <time datetime="${story.date}" aria-label="Posted on ${new Date(story.date).toLocaleDateString()}">${new Date(story.date).toLocaleDateString()}</time>
+            <span aria-label="Posted on ${TimeUtils.formatDate(story.date)}">${TimeUtils.timeElement(story.date, 'story-date')}</span>
         </div>
         <div class="story-content">
             <p>${SecurityUtils.sanitizeInput(story.content)}</p>
         </div>
         <div class="story-footer">
+            ${createSyncStatus(story)}
             <button class="like-button" 
-                    onclick="likeStory(${story.id})" 
                     aria-label="Like this story"
-                    aria-pressed="false">
+                    aria-pressed="${story.liked ? 'true' : 'false'}">
                 <span class="like-count" aria-live="polite">${story.likes}</span>
                 <span class="like-text">Likes</span>
             </button>
             <button class="share-button" 
-                    onclick="shareStory(${story.id})" 
                     aria-label="Share this story">
                 Share
             </button>
+            <button class="report-button"
+                    aria-label="Report this story">
+                Report
+            </button>
         </div>
     `;
+    article.querySelector('.like-button').addEventListener('click', () => likeStory(story.id));
+    article.querySelector('.share-button').addEventListener('click', () => shareStory(story.id));
+    article.querySelector('.report-button').addEventListener('click', () => openReportModal('story', story.id));
+    article.querySelector('.retry-sync-button')?.addEventListener('click', () => StoryOutbox.retry(story.id));
     return article;
 }
 
+function createSyncStatus(story) {
+    const labels = {
+        pending: 'Waiting to sync',
+        synced: 'Synced',
+        failed: 'Not synced'
+    };
+    if (!labels[story.syncStatus]) return '';
+
+    return `
+        <span class="sync-status sync-${story.syncStatus}" role="status">${labels[story.syncStatus]}</span>
+        ${story.syncStatus === 'failed' ? `
+            <button class="retry-sync-button" aria-label="Retry syncing this story">
+                Retry
+            </button>
+        ` : ''}
+    `;
+}
+
 // Update search functionality with performance optimization
 function initializeSearch() {
     const searchInput = document.querySelector('.search-input');
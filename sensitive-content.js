@@ -0,0 +1,65 @@
+// sensitive-content.js
+//
+// Finds personal details people often paste into public posts without meaning
+// to, and redacts them. Has no DOM dependencies: the page uses the global
+// SensitiveContent, and Node can require it for tests.
+
+const SensitiveContent = {
+    // Earlier entries win when matches overlap, so the longer ID formats are
+    // checked before phone numbers.
+    patterns: [
+        { type: 'email', label: 'Email address', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+        { type: 'aadhaar', label: 'Aadhaar number', pattern: /\b[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}\b/g },
+        { type: 'passport', label: 'Passport number', pattern: /\b[A-PR-WY][1-9]\d\s?\d{4}[1-9]\b/gi },
+        { type: 'pan', label: 'PAN number', pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/gi },
+        { type: 'phone', label: 'Phone number', pattern: /(?:\+\d{1,3}[\s-]?)?\(?\d{2,5}\)?[\s-]?\d{3,5}[\s-]?\d{4,5}\b/g },
+        { type: 'address', label: 'Home address', pattern: /\b(?:flat|house|h\.?\s?no\.?|plot|room|door)\s*(?:no\.?|number|#)?\s*[\d/-]+[A-Z]?\b/gi },
+        { type: 'address', label: 'Home address', pattern: /\b\d{1,5}[A-Z]?,?\s+(?:[A-Z][\w.'-]*\s+){0,3}(?:road|rd|street|st|lane|ln|nagar|colony|sector|marg|gali|chowk|layout|apartments?)\b/gi },
+        { type: 'address', label: 'PIN code', pattern: /\b(?:pin\s?code|pin|postal code)\s*[:-]?\s*[1-9]\d{2}\s?\d{3}\b/gi }
+    ],
+
+    // Returns [{ type, label, match, index }] in text order, without overlaps
+    detect(text, blockedWords = []) {
+        const findings = [];
+        this.patterns.forEach(({ type, label, pattern }) => {
+            for (const match of text.matchAll(new RegExp(pattern.source, pattern.flags))) {
+                // Short digit runs like years or prices are not phone numbers
+                if (type === 'phone' && match[0].replace(/\D/g, '').length < 10) continue;
+                findings.push({ type, label, match: match[0], index: match.index });
+            }
+        });
+
+        blockedWords.forEach(word => {
+            const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            for (const match of text.matchAll(new RegExp(`\\b${escaped}\\b`, 'gi'))) {
+                findings.push({ type: 'blocked_word', label: 'Offensive language', match: match[0], index: match.index });
+            }
+        });
+
+        // Keep the first finding wherever matches overlap
+        const priority = finding => this.patterns.findIndex(p => p.type === finding.type);
+        return findings
+            .sort((a, b) => a.index - b.index || priority(a) - priority(b))
+            .filter((finding, i, sorted) => {
+                const previous = sorted.slice(0, i).find(f => f.kept && f.index + f.match.length > finding.index);
+                finding.kept = !previous;
+                return finding.kept;
+            })
+            .map(({ kept, ...finding }) => finding);
+    },
+
+    redact(text, findings = this.detect(text)) {
+        return [...findings]
+            .sort((a, b) => b.index - a.index)
+            .reduce((result, finding) => {
+                const replacement = finding.type === 'blocked_word'
+                    ? '*'.repeat(finding.match.length)
+                    : `[${finding.label} removed]`;
+                return result.slice(0, finding.index) + replacement + result.slice(finding.index + finding.match.length);
+            }, text);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SensitiveContent;
+}
@@ -0,0 +1,127 @@
+// sw.js
+//
+// Service worker that keeps the map usable without a data connection.
+//
+//   - Map tiles are served cache-first. Tiles seen while browsing go into a
+//     size-limited cache; tiles saved with "Download this area" go into their
+//     own cache and are never evicted.
+//   - The service catalogue (API and bundled JSON) is fetched network-first
+//     and falls back to the last good copy.
+//   - The page shell falls back to the cached copy when offline.
+//   - Event reminders are shown from here, since some browsers (Chrome for
+//     Android) only allow notifications through a service worker.
+//
+// Cache names are shared with OfflineTiles in script.js; bump the version
+// suffix on both sides when the cache layout changes.
+
+const CACHE_PREFIX = 'miss-migrant-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v5`;
+const DATA_CACHE = `${CACHE_PREFIX}data-v1`;
+const TILE_CACHE = `${CACHE_PREFIX}tiles-v1`;
+const OFFLINE_TILE_CACHE = `${CACHE_PREFIX}offline-tiles-v1`;
+const CURRENT_CACHES = [SHELL_CACHE, DATA_CACHE, TILE_CACHE, OFFLINE_TILE_CACHE];
+
+const SHELL_FILES = ['./', 'index.html', 'styles.css', 'sensitive-content.js', 'icalendar.js', 'script.js', 'data/services.json', 'data/indian-cities.json',
+    'data/emergency-contacts.json'];
+const MAX_VISITED_TILES = 1500;
+const TILE_PATH = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp|svg)$/;
+
+// Drawn in place of tiles that are neither cached nor reachable
+const PLACEHOLDER_TILE = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256">
+<rect width="256" height="256" fill="#f1f3f5"/>
+<text x="128" y="132" font-family="sans-serif" font-size="14" fill="#868e96" text-anchor="middle">Offline</text>
+</svg>`;
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && !CURRENT_CACHES.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (TILE_PATH.test(url.pathname)) {
+        event.respondWith(tileResponse(request));
+    } else if (url.pathname.endsWith('/api/services') || url.pathname.endsWith('/data/services.json')) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+    } else if (url.origin === self.location.origin && !url.pathname.includes('/api/')) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+// Focus an open page and show the event, or open one at the calendar
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const eventId = event.notification.data?.eventId;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const client = windows[0];
+            if (!client) return self.clients.openWindow('./#events');
+            if (eventId) client.postMessage({ type: 'show-event', eventId });
+            return client.focus();
+        })
+    );
+});
+
+async function tileResponse(request) {
+    const cached = await caches.match(request, { ignoreVary: true });
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(TILE_CACHE);
+            await cache.put(request, response.clone());
+            trimVisitedTiles(cache);
+        }
+        return response;
+    } catch (error) {
+        return new Response(PLACEHOLDER_TILE, {
+            headers: { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'no-store' }
+        });
+    }
+}
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request) || (fallbackUrl && await caches.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Keys come back in insertion order, so the oldest visited tiles go first
+let trimming = null;
+function trimVisitedTiles(cache) {
+    if (trimming) return;
+    trimming = cache.keys()
+        .then(keys => Promise.all(keys
+            .slice(0, Math.max(0, keys.length - MAX_VISITED_TILES))
+            .map(key => cache.delete(key))))
+        .finally(() => { trimming = null; });
+}
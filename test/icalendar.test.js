@@ -0,0 +1,132 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const ICalendar = require('../icalendar');
+
+const now = new Date('2026-03-01T00:00:00Z');
+
+const event = (fields = {}) => ({
+    id: '7',
+    title: 'Community Meetup',
+    description: 'Tea and introductions',
+    location: 'Community Hall, Andheri East',
+    start: '2026-03-10T05:30:00Z',
+    end: '2026-03-10T07:30:00Z',
+    timezone: 'Asia/Kolkata',
+    ...fields
+});
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test('round-trips events through generate and parse', () => {
+    const original = event();
+    const { events, errors } = ICalendar.parse(ICalendar.generate([original], now));
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].uid, 'event-7@miss-migrant');
+    assert.strictEqual(events[0].title, original.title);
+    assert.strictEqual(events[0].description, original.description);
+    assert.strictEqual(events[0].location, original.location);
+    assert.strictEqual(events[0].start.toISOString(), '2026-03-10T05:30:00.000Z');
+    assert.strictEqual(events[0].end.toISOString(), '2026-03-10T07:30:00.000Z');
+    assert.strictEqual(events[0].timezone, 'Asia/Kolkata');
+});
+
+test('folds long lines at 75 octets and unfolds them again', () => {
+    const description = 'नमस्ते '.repeat(40).trim();
+    const output = ICalendar.generate([event({ description })], now);
+
+    output.split('\r\n').forEach(line => {
+        assert.ok(new TextEncoder().encode(line).length <= 75, line);
+    });
+    assert.ok(output.includes('\r\n '));
+    assert.strictEqual(ICalendar.parse(output).events[0].description, description);
+});
+
+test('unfolds continuation lines that start with a tab', () => {
+    const { events } = ICalendar.parse(calendar(
+        'BEGIN:VEVENT', 'UID:a@example.org', 'DTSTART:20260310T053000Z',
+        'SUMMARY:Language', '\tExchange',
+        'END:VEVENT'
+    ));
+    assert.strictEqual(events[0].title, 'LanguageExchange');
+});
+
+test('escapes and unescapes text values', () => {
+    const title = 'Rights; wages, contracts \\ more\nSecond line';
+    const output = ICalendar.generate([event({ title })], now);
+
+    assert.ok(output.includes('SUMMARY:Rights\\; wages\\, contracts \\\\ more\\nSecond line'));
+    assert.strictEqual(ICalendar.parse(output).events[0].title, title);
+});
+
+test('writes fixed-offset zones with TZID and zones with daylight saving in UTC', () => {
+    const kolkata = ICalendar.generate([event()], now);
+    assert.ok(kolkata.includes('BEGIN:VTIMEZONE'));
+    assert.ok(kolkata.includes('DTSTART;TZID=Asia/Kolkata:20260310T110000'));
+
+    const newYork = ICalendar.generate([event({ timezone: 'America/New_York' })], now);
+    assert.ok(!newYork.includes('VTIMEZONE'));
+    assert.ok(newYork.includes('DTSTART:20260310T053000Z'));
+});
+
+test('reads TZID, UTC and VTIMEZONE offsets as the same instant', () => {
+    const { events } = ICalendar.parse(calendar(
+        'BEGIN:VTIMEZONE', 'TZID:Partner Time', 'BEGIN:STANDARD', 'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0530', 'TZOFFSETTO:+0530', 'END:STANDARD', 'END:VTIMEZONE',
+        'BEGIN:VEVENT', 'UID:utc@example.org', 'DTSTART:20260310T053000Z', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:tzid@example.org', 'DTSTART;TZID=Asia/Kolkata:20260310T110000', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:custom@example.org', 'DTSTART;TZID=Partner Time:20260310T110000', 'END:VEVENT',
+        // 8 March 2026 is the first day of daylight saving in New York (UTC-4)
+        'BEGIN:VEVENT', 'UID:dst@example.org', 'DTSTART;TZID=America/New_York:20260310T013000', 'END:VEVENT'
+    ));
+    assert.deepStrictEqual(events.map(e => e.start.toISOString()), [
+        '2026-03-10T05:30:00.000Z',
+        '2026-03-10T05:30:00.000Z',
+        '2026-03-10T05:30:00.000Z',
+        '2026-03-10T05:30:00.000Z'
+    ]);
+});
+
+test('keeps the last copy of a UID repeated in one file and counts it once', () => {
+    const { events } = ICalendar.parse(calendar(
+        'BEGIN:VEVENT', 'UID:dup@example.org', 'DTSTART:20260310T053000Z', 'SUMMARY:First', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:dup@example.org', 'DTSTART:20260311T053000Z', 'SUMMARY:Second', 'END:VEVENT'
+    ));
+    const result = ICalendar.merge([], events);
+
+    assert.strictEqual(result.events.length, 1);
+    assert.strictEqual(result.events[0].title, 'Second');
+    assert.deepStrictEqual([result.added, result.updated, result.skipped], [1, 0, 0]);
+});
+
+test('merges imports by UID with events already listed', () => {
+    const listed = { ...event(), start: new Date(event().start) };
+    const imported = { id: 'ics-old@example.org', uid: 'old@example.org', title: 'Old title', imported: true };
+    const { events } = ICalendar.parse(calendar(
+        'BEGIN:VEVENT', 'UID:event-7@miss-migrant', 'DTSTART:20260310T053000Z', 'SUMMARY:Copy', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:old@example.org', 'DTSTART:20260310T053000Z', 'SUMMARY:New title', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:new@example.org', 'DTSTART:20260310T053000Z', 'SUMMARY:Fresh', 'END:VEVENT'
+    ));
+    const result = ICalendar.merge([listed, imported], events);
+
+    assert.deepStrictEqual([result.added, result.updated, result.skipped], [1, 1, 1]);
+    assert.strictEqual(result.events[0], listed);
+    assert.strictEqual(result.events[1].id, 'ics-old@example.org');
+    assert.strictEqual(result.events[1].title, 'New title');
+    assert.strictEqual(result.events[2].id, 'ics-new@example.org');
+});
+
+test('ignores properties of components nested in an event', () => {
+    const { events } = ICalendar.parse(calendar(
+        'BEGIN:VEVENT', 'UID:alarm@example.org', 'DTSTART:20260310T053000Z', 'SUMMARY:Health camp',
+        'BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:Reminder', 'DURATION:PT15M', 'TRIGGER:-PT30M', 'END:VALARM',
+        'LOCATION:Ward office',
+        'END:VEVENT'
+    ));
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].description, '');
+    assert.strictEqual(events[0].location, 'Ward office');
+    assert.strictEqual(events[0].end.toISOString(), '2026-03-10T05:30:00.000Z');
+});
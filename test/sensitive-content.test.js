@@ -0,0 +1,41 @@
+// Run with: node --test
+const test = require('node:test');
+const assert = require('node:assert');
+const SensitiveContent = require('../sensitive-content');
+
+const types = text => SensitiveContent.detect(text).map(finding => finding.type);
+
+test('flags personal details', () => {
+    const cases = [
+        ['Call me on +91 98765 43210', 'phone'],
+        ['My number is 9876543210', 'phone'],
+        ['Aadhaar 2345 6789 0123 was taken by the agent', 'aadhaar'],
+        ['PAN ABCDE1234F', 'pan'],
+        ['Write to asha.k@example.com for details', 'email'],
+        ['We live at Flat 12B near the station', 'address'],
+        ['Come to 221 MG Road after work', 'address'],
+        ['PIN 560001', 'address']
+    ];
+    cases.forEach(([text, type]) => assert.deepStrictEqual(types(text), [type], text));
+});
+
+test('does not flag years or prices', () => {
+    [
+        'I moved to Mumbai in 2019 and back in 2021.',
+        'Rent went up from ₹8000 to ₹12,500 a month.',
+        'We were paid Rs. 450 per day for 12 hours.',
+        'Between 1998 and 2005 I worked in 3 factories.'
+    ].forEach(text => assert.deepStrictEqual(types(text), [], text));
+});
+
+test('prefers the longer ID format where matches overlap', () => {
+    const findings = SensitiveContent.detect('ID 2345 6789 0123');
+    assert.strictEqual(findings.length, 1);
+    assert.strictEqual(findings[0].type, 'aadhaar');
+});
+
+test('redacts findings and masks blocked words', () => {
+    const text = 'Email asha@example.com, you idiot';
+    const findings = SensitiveContent.detect(text, ['idiot']);
+    assert.strictEqual(SensitiveContent.redact(text, findings), 'Email [Email address removed], you *****');
+});